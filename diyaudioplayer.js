@@ -29,6 +29,45 @@ const UI_PREV_TRACK_LINK_ID    = "diyAudioPrevTrackLink";
 const UI_NEXT_TRACK_LINK_ID    = "diyAudioNextTrackLink";
 const UI_PREV_TRACK_IMG_ID     = "diyAudioPrevTrackImg";
 const UI_NEXT_TRACK_IMG_ID     = "diyAudioNextTrackImg";
+const UI_VOLUME_ID             = "diyAudioVolume";
+const UI_MUTE_BUTTON_ID        = "diyAudioMuteButton";
+const UI_PLAYBACK_RATE_ID      = "diyAudioPlaybackRate";
+const UI_CHAPTER_MARKS_ID      = "diyAudioChapterMarks";
+const UI_PLAYLIST_ID           = "diyAudioPlaylist";
+const UI_PLAYER_ID             = "diyAudioPlayer";
+
+// CSS classes for the items of the built-in track list
+const UI_PLAYLIST_ITEM_CLASS     = "diy-playlist-item";
+const UI_PLAYLIST_LINK_CLASS     = "diy-playlist-link";
+const UI_PLAYLIST_CURRENT_CLASS  = "diy-current";
+const UI_PLAYLIST_PLAYING_CLASS  = "diy-playing";
+const UI_PLAYLIST_ERROR_CLASS    = "diy-error";
+
+// prefix of the CSS classes that show the player state (e.g.
+// diy-state-buffering) on the container, or on the diyAudioPlayer element
+const UI_STATE_CLASS_PREFIX      = "diy-state-";
+
+// HTML attributes for the basic UI elements that show fields of the current
+// track, e.g. <span data-diyaudio-field="title">
+const UI_FIELD_ATTRIBUTE           = "data-diyaudio-field";
+const UI_FIELD_ATTR_ATTRIBUTE      = "data-diyaudio-attr";
+const UI_FIELD_FALLBACK_ATTRIBUTE  = "data-diyaudio-fallback";
+
+// attributes that hold a URL, which only get URLs with these protocols
+// from track fields (links only get web pages, never data: or blob: URLs)
+const UI_FIELD_URL_ATTRIBUTES = [
+    "href",
+    "src",
+    "poster",
+    "action",
+    "formaction",
+    "cite",
+    "data",
+    "background",
+    "xlink:href"
+];
+const UI_FIELD_URL_PROTOCOLS  = ["http:", "https:", "blob:", "data:"];
+const UI_FIELD_LINK_PROTOCOLS = ["http:", "https:"];
 
 // basic UI images we might need to find under the base image URL
 const UI_PLAY_IMG              = "play.png";
@@ -37,13 +76,338 @@ const UI_PREV_IMG              = "prev.png";
 const UI_NEXT_IMG              = "next.png";
 const UI_PREV_DISABLED_IMG     = "prev-disabled.png";
 const UI_NEXT_DISABLED_IMG     = "next-disabled.png";
+const UI_VOLUME_IMG            = "volume.png";
+const UI_MUTE_IMG              = "mute.png";
+
+// gapless playback and crossfade timing
+//
+// the next track is loaded into the standby Audio object once the current
+// track has this many seconds left (plus the crossfade duration)
+const TRANSITION_PRELOAD_SECONDS   = 30;
+// once the current track has this many seconds left, a timer is set to
+// start the next track right at the end of the current one
+//
+// this is longer than the time between timeupdate events from the Audio
+// object, so the timer is set in time even while the page is hidden
+const TRANSITION_SCHEDULE_SECONDS  = 0.5;
+// how often the volumes are adjusted during a crossfade, in milliseconds
+// (and during the fades of setPlaybackFade() and the sleep timer)
+const CROSSFADE_STEP_MS            = 50;
+
+// how often the play state is updated while playing, in milliseconds
+//
+// the updates are mostly driven by events from the Audio object, and this
+// timer only runs while the page is visible, to keep the time display and
+// the playback position slider moving smoothly
+const PLAY_STATE_UPDATE_MS         = 100;
+
+// how long the sleep timer fades out for, by default, in seconds
+const SLEEP_TIMER_FADE_SECONDS     = 10;
+
+// once the current track or chapter has this many seconds left, the sleep
+// timer schedules its fade, even if the fade itself is shorter
+const SLEEP_TIMER_SCHEDULE_SECONDS = 0.5;
+
+// longest sleep timer accepted by setSleepTimer(), in minutes (one day,
+// which stays well within the longest delay that setTimeout() can handle)
+const SLEEP_TIMER_MAX_MINUTES      = 24 * 60;
+
+// sleep timer durations accepted by setSleepTimer(), besides minutes
+const SLEEP_TIMER_MODES = ["endOfTrack", "endOfChapter"];
+
+// player states returned by getState()
+const PLAYER_STATES = [
+    "loading",
+    "buffering",
+    "playing",
+    "paused",
+    "stopped",
+    "ended",
+    "error"
+];
+
+// HTMLMediaElement.readyState value that means enough of the track has
+// loaded to start playing it right away
+const HAVE_FUTURE_DATA             = 3;
+
+// error types for MediaError codes, as reported in error events
+const MEDIA_ERROR_TYPES = {
+    1: "aborted",
+    2: "network",
+    3: "decode",
+    4: "unsupported"
+};
+
+// error policies accepted by setErrorPolicy()
+const ERROR_POLICIES = ["stop", "retry", "skip"];
+
+// visualizer modes accepted by enableVisualizer()
+const VISUALIZER_MODES = ["spectrum", "oscilloscope"];
+
+// ReplayGain modes accepted by setReplayGain()
+const REPLAY_GAIN_MODES = ["off", "track", "album"];
+
+// filter types accepted in setEqualizer() bands
+const EQUALIZER_FILTER_TYPES = ["peaking", "lowshelf", "highshelf"];
+
+// the bands that the equalizer presets use
+const EQUALIZER_PRESET_BANDS = [
+    {"type": "lowshelf",  "frequency": 60},
+    {"type": "peaking",   "frequency": 230},
+    {"type": "peaking",   "frequency": 910},
+    {"type": "peaking",   "frequency": 3600},
+    {"type": "highshelf", "frequency": 14000}
+];
+
+// gains (in dB) for each of the EQUALIZER_PRESET_BANDS,
+// by the preset names accepted by setEqualizer()
+const EQUALIZER_PRESETS = {
+    "flat":         [0, 0, 0, 0, 0],
+    "bass-boost":   [6, 3, 0, 0, 0],
+    "treble-boost": [0, 0, 0, 3, 6],
+    "loudness":     [5, 1, -1, 1, 4],
+    "vocal":        [-3, -1, 2, 3, 0],
+    "spoken-word":  [-6, -1, 2, 3, 1]
+};
+
+// prevChapter() goes back to the start of the current chapter, instead of
+// the previous chapter, once this many seconds of it have played
+const PREV_CHAPTER_RESTART_SECONDS = 3;
+
+// range of playback rates that browsers are required to support
+const MIN_PLAYBACK_RATE            = 0.0625;
+const MAX_PLAYBACK_RATE            = 16;
+
+// names of the events that listeners can be registered for with on()
+const EVENT_NAMES = [
+    "play",
+    "pause",
+    "stop",
+    "track-change",
+    "timeupdate",
+    "seek",
+    "ended",
+    "playlist-loaded",
+    "error",
+    "buffering",
+    "end-of-playlist",
+    "repeat-mode",
+    "shuffle",
+    "playlist-changed",
+    "volume-change",
+    "rate-change",
+    "chapter-change",
+    "sleep-timer",
+    "state-change"
+];
+
+// repeat modes accepted by setRepeatMode()
+const REPEAT_MODES = ["off", "one", "all"];
+
+// playlist file formats accepted by parsePlaylist()
+const PLAYLIST_FORMATS = ["m3u", "m3u8", "pls", "xspf", "jspf"];
+
+// default key map for enableKeyboardShortcuts()
+//
+// single character keys are matched case-insensitively, and other keys
+// (e.g. arrow keys) can be prefixed with "Shift+"
+const DEFAULT_KEY_MAP = {
+    " ":                "playPause",
+    "k":                "playPause",
+    "ArrowLeft":        "seekBackward",
+    "ArrowRight":       "seekForward",
+    "Shift+ArrowLeft":  "prevTrack",
+    "Shift+ArrowRight": "nextTrack",
+    "m":                "toggleMute"
+};
+
+//////////////////////////////////////////////////////////////////////////////
+// NAMESPACE VARIABLES                                                      //
+//////////////////////////////////////////////////////////////////////////////
+
+// every player instance that has been created, including the default one
+// that backs the global diyaudioplayer.* functions
+const playerInstances = [];
+
+// the player instance that the browser's Media Session currently controls
+// (there is only one Media Session per page, so the most recent instance
+// with Media Session support enabled to start playing takes it over)
+let mediaSessionOwner = null;
+
+// the AudioContext shared by every player instance that routes its audio
+// through Web Audio (created when it's first needed, see getAudioContext())
+let sharedAudioContext = null;
+
+//////////////////////////////////////////////////////////////////////////////
+// PLAYER INSTANCE                                                          //
+//                                                                          //
+// Everything between BEGIN PLAYER INSTANCE and END PLAYER INSTANCE is      //
+// created fresh for each player instance, so that several independent      //
+// players can live on the same page. Each instance has its own Audio       //
+// object, playlist, handlers, and basic UI element bindings.               //
+//                                                                          //
+// Options                                                                  //
+//                                                                          //
+//   container (optional)                                                   //
+//     HTML element (or CSS selector string) that contains the basic UI     //
+//     elements for this instance. When set, basic UI elements are found    //
+//     inside of the container by class name or id (e.g.                    //
+//     class="diyAudioPlayPauseButton"), instead of by id on the whole      //
+//     page.                                                                //
+//                                                                          //
+//   baseImageUrl (optional)                                                //
+//     Same as calling setBaseImageUrl() on the instance                    //
+//                                                                          //
+//   playlistTemplate (optional)                                            //
+//     Same as calling setPlaylistTemplate() on the instance                //
+//                                                                          //
+//   pauseOthers (optional)                                                 //
+//     If true, starting playback on this instance pauses every other       //
+//     instance that is currently playing                                   //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+// BEGIN PLAYER INSTANCE
+function createPlayer(options) {
+
+options = options || {};
 
 //////////////////////////////////////////////////////////////////////////////
 // VARIABLES                                                                //
 //////////////////////////////////////////////////////////////////////////////
 
+// the public interface for this player instance,
+// which is filled in at the end of the PLAYER INSTANCE section
+const instance = {};
+
+// event listeners added to the Audio objects with listenToAudio(),
+// so that they can be added to the standby Audio object when it's created
+const audioEventListeners = [];
+
+// the Web Audio nodes that the Audio objects are mixed into, and that
+// features like the visualizer tap into, once a feature that needs
+// Web Audio is enabled (see the WEB AUDIO SECTION)
+let audioGraphInput = null;
+let audioGraphOutput = null;
+
+// crossOrigin setting for the Audio objects, from setCrossOrigin()
+let audioCrossOrigin = null;
+
+// GainNode that applies the ReplayGain of whatever track is loaded in
+// each Audio object, by Audio object
+const audioGraphTrackGains = new WeakMap();
+
+// the processing between audioGraphInput and audioGraphOutput:
+// the equalizer filters (one BiquadFilterNode per band) and the limiter
+// (a DynamicsCompressorNode, or null when it's off)
+let equalizerFilters = [];
+let limiterNode = null;
+
+// the bands passed to setEqualizer(), or null when the equalizer is off
+let equalizerBands = null;
+
+// the ReplayGain settings from setReplayGain()
+let replayGainOptions = {"mode": "off", "preamp": 0, "defaultGain": 0};
+
 // HTMLAudioElement that actually plays back the audio tracks
-const audio = new Audio();
+//
+// when gapless playback or crossfade is enabled, this switches back and
+// forth with standbyAudio at the end of each track
+let audio = createAudio();
+
+// HTMLAudioElement that the next track is loaded into ahead of time,
+// for gapless playback and crossfade (created when it's first needed)
+let standbyAudio = null;
+
+// playlist index and playlist object that are loaded in standbyAudio
+let standbyPlaylistIndex = null;
+let standbyTrack = null;
+
+// is gapless playback enabled?
+let gapless = false;
+
+// crossfade duration between tracks, in seconds (0 means no crossfade)
+let crossfadeDuration = 0;
+
+// timer that starts the next track right at the end of the current track
+let transitionTimer = null;
+
+// interval timer for a crossfade that is in progress
+let crossfadeTimer = null;
+
+// the Audio object that is fading out during a crossfade
+let fadingAudio = null;
+
+// how long play(), pause() and stop() fade in or out for, in seconds
+// (0 means no fade)
+let playbackFadeDuration = 0;
+
+// the volume level of a fade in or out, from 0 to 1, which the volume of
+// the current Audio object is multiplied by
+let fadeLevel = 1;
+
+// interval timer for a fade in or out that is in progress
+let fadeTimer = null;
+
+// the sleep timer set with setSleepTimer(), as an object with the "mode"
+// ("minutes", "endOfTrack" or "endOfChapter"), the fade duration
+// ("fadeSeconds"), whether it's fading out yet ("fading"), and for
+// "minutes", the performance.now() time it ends at ("endTime"),
+// or null if there is no sleep timer
+let sleepTimer = null;
+
+// timer that starts the fade of a "minutes" sleep timer
+let sleepTimerTimeout = null;
+
+// Media Session settings from enableMediaSession(),
+// or null if Media Session support is not enabled
+let mediaSessionOptions = null;
+
+// persistence settings from enablePersistence(),
+// or null if persistence is not enabled
+let persistenceOptions = null;
+
+// are we waiting for, or in the middle of restoring, the saved state?
+// (if so, the changes we're making shouldn't be saved, or they would
+// overwrite the state we haven't restored yet)
+let persistenceRestoring = false;
+
+// performance.now() time of the last time the state was saved
+let persistenceLastSaveTime = 0;
+
+// keyboard shortcut settings from enableKeyboardShortcuts(),
+// or null if keyboard shortcuts are not enabled
+let keyboardShortcutOptions = null;
+
+// the element (or document) that keyboard shortcuts are listened for on
+let keyboardShortcutTarget = null;
+
+// what to do when a track fails to load or play, from setErrorPolicy()
+let errorPolicy = {
+    "policy": "stop",
+    "retries": 3,
+    "retryDelay": 1,
+    "then": "stop",
+    "stallTimeout": 15
+};
+
+// the audio URL whose error has already been handled, so that an error
+// reported both by play() and by the Audio object is only handled once
+let handledErrorSrc = null;
+
+// the playlist object that is being retried, and how many times
+let errorRetryTrack = null;
+let errorRetryCount = 0;
+
+// timer for the next retry
+let errorRetryTimer = null;
+
+// timer that gives up on a track that stalled while playing
+let stallTimer = null;
+
+// playlist objects that failed to play, which the "skip" policy skips over
+// until they play successfully
+const failedTracks = new WeakSet();
 
 // playlist reference
 let playlist = null;
@@ -51,9 +415,50 @@ let playlist = null;
 // current playlist index
 let playlistIndex = 0;
 
+// the order in which the playlist is played, as a list of playlist indexes
+// (this is just 0, 1, 2, ... unless shuffle is enabled)
+let playOrder = [];
+
+// position of the current track within playOrder
+let playOrderPosition = 0;
+
+// is shuffle enabled?
+let shuffle = false;
+
+// random number generator used for shuffling,
+// which returns numbers in the range [0, 1) like Math.random()
+let shuffleRandom = Math.random;
+
 // is the audio player currently playing?
 let playing = false;
 
+// what the player is doing right now, in more detail than playing
+// (one of the PLAYER_STATES, see getState())
+let playerState = "stopped";
+
+// playback volume, from 0 to 1
+let volume = 1;
+
+// is the audio muted?
+let muted = false;
+
+// playback rate (1 is normal speed)
+let playbackRate = 1;
+
+// should the pitch stay the same when the playback rate changes?
+let preservesPitch = true;
+
+// playback rates that the basic UI playback rate button cycles through
+let playbackRateOptions = [0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+// should the remaining time display show how much real time is left
+// at the current playback rate?
+let rateAdjustedRemainingTime = false;
+
+// what happens at the end of a track: "off", "one" or "all"
+// (see setRepeatMode() for details)
+let repeatMode = "off";
+
 // if we try to play an audio track, and it doesn't work, remember which track
 // we were trying to play in case we want to try again later
 let deferredAudioSrc = null;
@@ -71,7 +476,24 @@ let noTime = "--:--";
 let displayTimeZeroPad = false;
 
 // base image URL for player control images
-let uiBaseImageUrl = null;
+let uiBaseImageUrl =
+    (undefined !== options.baseImageUrl) ? options.baseImageUrl : null;
+
+// template for the items of the built-in track list: a string with
+// {key} placeholders for track fields, a function that renders one item,
+// or null for the default "title - artist" text
+let uiPlaylistTemplate =
+    (undefined !== options.playlistTemplate) ?
+    options.playlistTemplate :
+    null;
+
+// element (or CSS selector string) containing the basic UI elements,
+// or null to look them up by id on the whole page
+const uiContainer =
+    (undefined !== options.container) ? options.container : null;
+
+// should starting playback pause every other player instance?
+const pauseOthers = (true === options.pauseOthers);
 
 // is the user adjusting the time slider for the track right now?
 let uiUserIsAdjustingTimeSlider = false;
@@ -79,14 +501,74 @@ let uiUserIsAdjustingTimeSlider = false;
 // preload cache for navigation control images
 const uiPreloadImageCache = {};
 
-// user-defined functions
+// id of the datalist element with the chapter tick marks for the playback
+// position slider (numbered, so that every instance gets its own)
+const uiChapterMarksId = UI_CHAPTER_MARKS_ID + "-" + playerInstances.length;
+
+// event listener functions registered with on() and once(),
+// keyed by event name
+const eventListeners = {};
+
+// listeners registered on behalf of the single-slot
+// register*Handler() functions, so they can be replaced later
 let udfPlayHandler = null;
 let udfPauseHandler = null;
 let udfStopHandler = null;
 let udfTrackChangeHandler = null;
 
-// previous track index sent to the user-defined track change handler function
-let udfPrevTrackChangeHandlerIndex = null;
+// previous track index sent to each track change event listener,
+// by listener function
+//
+// every listener keeps track of this on its own, so that a listener added
+// later (e.g. after enablePersistence() added one of its own) still hears
+// about the current track
+const trackChangeIndexes = new Map();
+
+// the playlist object and chapter index that playback was last in,
+// so we can tell when playback crosses into a different chapter
+let currentChapterTrack = null;
+let currentChapterIndex = null;
+
+// the A-B loop region set with setLoop(), as an object with "start" and
+// "end" times, plus the playlist object ("track") it was set for,
+// or null if there is no loop
+let loopRegion = null;
+
+// timer that fires right when playback reaches the end of the loop region,
+// or the trimmed end of the current track
+let boundaryTimer = null;
+
+// interval timer that updates the play state while playing, and while the
+// page is visible (see updatePlayStateTimer())
+let playStateTimer = null;
+
+// do prevTrack() and nextTrack() step through the chapters of the
+// current track before changing tracks?
+let stepThroughChapters = false;
+
+// playlist objects that we already tried to download the chapters file for
+// (so that a failed download isn't retried on every timeupdate)
+const chapterDownloads = new WeakSet();
+
+// index of the entry in the "sources" array that was picked for each
+// playlist object
+const trackSourceIndexes = new WeakMap();
+
+// the options passed to enableVisualizer(), the AnalyserNode it draws
+// from, and the animation frame that draws the next picture
+let visualizerOptions = null;
+let visualizerAnalyser = null;
+let visualizerFrame = null;
+
+// the options passed to enableWaveformSeekBar()
+let waveformOptions = null;
+
+// the position that the waveform seek bar is being dragged to,
+// as a percentage from 0-100, or null if it isn't being dragged
+let waveformDragPercent = null;
+
+// playlist objects that we already tried to download the peaks file for
+const peaksDownloads = new WeakSet();
 
 //////////////////////////////////////////////////////////////////////////////
 // PUBLIC FUNCTIONS                                                         //
@@ -105,6 +587,19 @@ let udfPrevTrackChangeHandlerIndex = null;
 //     Example:                                                             //
 //       playlist = [{"url": "/mp3/01.mp3"}, {"url": "/mp3/02.mp3"}];       //
 //                                                                          //
+//     Instead of "url", an object can have a "sources" array of {"url",    //
+//     "type"} objects for the same track in different formats, in order    //
+//     of preference. The first one that the browser says it can play (see  //
+//     HTMLMediaElement.canPlayType()) is used, and if it fails to load,    //
+//     the next one is tried. A source without a "type" is always tried.    //
+//                                                                          //
+//     Example:                                                             //
+//       playlist = [{"sources": [                                          //
+//           {"url": "/opus/01.opus", "type": "audio/ogg; codecs=opus"},    //
+//           {"url": "/aac/01.m4a", "type": "audio/mp4; codecs=mp4a.40.2"}, //
+//           {"url": "/mp3/01.mp3", "type": "audio/mpeg"}                   //
+//       ]}];                                                               //
+//                                                                          //
 // Usage:                                                                   //
 //                                                                          //
 //   <body onload="diyaudioplayer.init(playlist)">                          //
@@ -112,6 +607,9 @@ let udfPrevTrackChangeHandlerIndex = null;
 //////////////////////////////////////////////////////////////////////////////
 
 function init(userPlaylist) {
+    // forward events from the Audio object to our own event listeners
+    addAudioEventListeners();
+
     // set up bidirectional event listeners to link the Audio object
     // with some of the basic UI elements
     uiAddEventListeners();
@@ -119,8 +617,24 @@ function init(userPlaylist) {
     // load the user playlist
     loadPlaylist(userPlaylist);
 
+    // restore the saved track, position and settings from the last visit,
+    // if persistence is enabled
+    persistenceRestore();
+
     // preload navigation control images, if we're using basic UI elements
     uiPreloadImages();
+
+    // show the current play/pause state in the play/pause button
+    uiUpdatePlayPauseButton();
+
+    // show the current volume in the volume slider and mute button
+    uiUpdateVolumeControls();
+
+    // show the current playback rate in the playback rate control
+    uiUpdatePlaybackRate();
+
+    // show the current player state on the player element
+    uiUpdateStateClasses();
 }
 
 //////////////////////////////////////////////////////////////////////////////
@@ -142,12 +656,15 @@ function loadPlaylist(userPlaylist) {
         throw new Error("playlist can not be empty");
     }
     for (let i=0; i < userPlaylist.length; i++) {
-        if (! ("url" in userPlaylist[i])) {
-            throw new Error("playlist missing 'url' at playlist index " + i);
-        }
+        validatePlaylistEntry(userPlaylist[i], i);
     }
     playlist = userPlaylist;
-    playlistIndex = 0;
+
+    // start at the beginning of the play order
+    // (which is the first track, unless shuffle is enabled)
+    playOrder = buildPlayOrder(null, null);
+    playOrderPosition = 0;
+    playlistIndex = playOrder[playOrderPosition];
 
     const wasPlaying = playing;
 
@@ -156,22 +673,28 @@ function loadPlaylist(userPlaylist) {
         pause();
     }
 
+    // forget about any track transition for the old playlist
+    cancelTrackTransition();
+
     // clear deferred variables from previous playlist
     deferredAudioSrc = null;
     deferredInitialSeekTime = null;
 
     // initialize the audio player with the first track on the new playlist
-    audio.src = playlist[playlistIndex]["url"];
+    audio.src = getTrackUrl(playlist[playlistIndex]);
 
     // update the track skip buttons
     // (which may disable the prev button if we were
     // already on the first track)
     uiUpdateTrackSkipButtons();
 
-    // invalidate previous user-defined playlistIndex from the old playlist,
-    // and call the user-defined track change function for the new playlist
-    udfPrevTrackChangeHandlerIndex = null;
-    handleUdfTrackChange(playlistIndex);
+    // invalidate the previous playlistIndex from the old playlist,
+    // and send a track change event for the new playlist
+    trackChangeIndexes.clear();
+    emitTrackChange(playlistIndex);
+
+    // let listeners know that a new playlist was loaded
+    emitEvent("playlist-loaded", {"playlist": playlist});
 
     // if we were in play mode before, start playing the new playlist
     if (wasPlaying) {
@@ -179,6 +702,207 @@ function loadPlaylist(userPlaylist) {
     }
 }
 
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Load a new playlist from an M3U/M3U8, PLS, XSPF or JSPF playlist file    //
+//                                                                          //
+// The playlist file is downloaded, parsed with parsePlaylist(), and then   //
+// loaded exactly like loadPlaylist() does. Relative track URLs are         //
+// resolved against the URL of the playlist file.                           //
+//                                                                          //
+// If the player hasn't been initialized yet, it is initialized with the    //
+// new playlist, as if init() had been called.                              //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   url (required)                                                         //
+//     URL of the playlist file                                             //
+//                                                                          //
+//   format (optional)                                                      //
+//     One of "m3u", "m3u8", "pls", "xspf" or "jspf". If not given, the     //
+//     format is detected from the contents of the file.                    //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   Promise that resolves to the loaded playlist array, or rejects with    //
+//   an Error if the file can't be downloaded or parsed. Parse errors have  //
+//   a lineNumber property when the line is known.                          //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.loadPlaylistFromUrl("/mp3/album.m3u8")                  //
+//       .catch((error) => console.error(error));                           //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function loadPlaylistFromUrl(url, format) {
+    return fetchText(url).then((response) => {
+        // relative track URLs are resolved against the playlist file
+        return parsePlaylist(response["text"], format, response["url"]);
+    }).then((userPlaylist) => {
+        loadFetchedPlaylist(userPlaylist);
+        return userPlaylist;
+    });
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Load a new playlist from a podcast RSS feed                              //
+//                                                                          //
+// Each RSS 2.0 item with an enclosure becomes a playlist object, with the  //
+// following keys (when the feed provides them):                            //
+//                                                                          //
+//   url            the enclosure URL                                       //
+//   title          the episode title                                       //
+//   artist         the episode or podcast author (itunes:author)           //
+//   album          the podcast title                                       //
+//   pubDate        the publication date, as it appears in the feed         //
+//   duration       the episode length in seconds (itunes:duration)         //
+//   image          the episode image, or the podcast image                 //
+//   description    the episode description                                 //
+//   guid           the episode guid                                        //
+//   chaptersUrl    URL of the Podcasting 2.0 chapters file                 //
+//                                                                          //
+// Podcasting 2.0 chapters (podcast:chapters) are downloaded when an        //
+// episode becomes the current track, and attached to it as a "chapters"    //
+// array, so that chapter-change events are sent during playback.           //
+//                                                                          //
+// If the player hasn't been initialized yet, it is initialized with the    //
+// new playlist, as if init() had been called.                              //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   urlOrXmlString (required)                                              //
+//     URL of the RSS feed, or the text of the feed itself                  //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       order       "newest" to play the newest episode first (the         //
+//                   default), or "oldest" to play the oldest first         //
+//       maxItems    only keep this many of the newest episodes, a whole    //
+//                   number of 1 or more                                    //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   Promise that resolves to the loaded playlist array, or rejects with    //
+//   an Error if the feed can't be downloaded or parsed.                    //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.loadPodcastFeed("/podcast.xml", {"maxItems": 10});      //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function loadPodcastFeed(urlOrXmlString, options) {
+    if (typeof urlOrXmlString !== "string") {
+        return Promise.reject(new Error(
+            "podcast feed must be a URL or an XML string"));
+    }
+
+    const settings = Object.assign({
+        "order": "newest",
+        "maxItems": null
+    }, options);
+
+    if (("newest" != settings["order"]) && ("oldest" != settings["order"])) {
+        return Promise.reject(new Error(
+            "podcast feed order must be \"newest\" or \"oldest\""));
+    }
+
+    if ((null != settings["maxItems"]) &&
+        !(Number.isInteger(settings["maxItems"]) &&
+            (settings["maxItems"] >= 1))) {
+        return Promise.reject(new Error(
+            "podcast feed maxItems must be a whole number of 1 or more"));
+    }
+
+    // the feed itself, or a URL to download it from
+    let feedPromise = null;
+    if (urlOrXmlString.trimStart().startsWith("<")) {
+        feedPromise = Promise.resolve(
+            {"text": urlOrXmlString, "url": document.baseURI});
+    } else {
+        feedPromise = fetchText(urlOrXmlString);
+    }
+
+    return feedPromise.then((response) => {
+        return podcastFeedParse(response["text"], response["url"], settings);
+    }).then((userPlaylist) => {
+        loadFetchedPlaylist(userPlaylist);
+        return userPlaylist;
+    });
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Build the playlist from markup that is already on the page               //
+//                                                                          //
+// This lets a page list its tracks in plain HTML that works without        //
+// JavaScript, and turns that list into the playlist. The following         //
+// elements inside of the given element become tracks, in page order:       //
+//                                                                          //
+//   elements with a data-diyaudio-url attribute                            //
+//   audio elements, with a src attribute or source elements                //
+//   links (a elements with an href)                                        //
+//                                                                          //
+// Other data-diyaudio-* attributes on those elements become extra keys     //
+// of the playlist object (e.g. data-diyaudio-artist becomes "artist").     //
+// Links and audio elements also use their text or title attribute as the   //
+// "title" of the track.                                                    //
+//                                                                          //
+// Clicking one of the elements (or starting one of the audio elements)     //
+// plays the track in the player instead. If this script doesn't load,      //
+// the links and audio elements keep working on their own.                  //
+//                                                                          //
+// If the player hasn't been initialized yet, it is initialized with the    //
+// new playlist, as if init() had been called. Otherwise the playlist is    //
+// loaded like loadPlaylist() does.                                         //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   selectorOrElement (required)                                           //
+//     HTML element (or CSS selector string) that contains the tracks       //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   The new playlist array. Throws an Error if the element can't be        //
+//   found, or doesn't contain any tracks.                                  //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   <ul id="tracks">                                                       //
+//       <li><a href="mp3/one.mp3" data-diyaudio-artist="JSH">One</a></li>  //
+//       <li><a href="mp3/two.mp3" data-diyaudio-artist="JSH">Two</a></li>  //
+//   </ul>                                                                  //
+//                                                                          //
+//   diyaudioplayer.initFromDom("#tracks");                                 //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function initFromDom(selectorOrElement) {
+    const root = (typeof selectorOrElement === "string") ?
+        document.querySelector(selectorOrElement) :
+        selectorOrElement;
+    if (null == root) {
+        throw new Error("playlist element not found: " + selectorOrElement);
+    }
+
+    const entries = pageMarkupParse(root);
+    if (0 == entries.length) {
+        throw new Error("no tracks found in playlist element");
+    }
+
+    // take over the elements, so that they play in the player
+    for (const entry of entries) {
+        pageMarkupHijack(entry["element"], entry["track"]);
+    }
+
+    const userPlaylist = entries.map((entry) => entry["track"]);
+    loadFetchedPlaylist(userPlaylist);
+    return userPlaylist;
+}
+
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
 // Set the base URL for player control images                               //
@@ -194,6 +918,37 @@ function setBaseImageUrl(baseImageUrl) {
     uiBaseImageUrl = baseImageUrl;
 }
 
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the template for the items of the built-in track list                //
+//                                                                          //
+// The track list is drawn inside of the diyAudioPlaylist element, if there //
+// is one on the page, with one clickable item for each track               //
+//                                                                          //
+// Arguments                                                                //
+//   template (required)                                                    //
+//     A string with {key} placeholders, which are replaced with the        //
+//     matching fields of each track (e.g. "{title} - {artist}"),           //
+//                                                                          //
+//     or a function(track, index) that returns the content of one item,    //
+//     as a DOM node or as a string of plain text,                          //
+//                                                                          //
+//     or null for the default text, which is the title of the track        //
+//     (and the artist, if there is one)                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setPlaylistTemplate(template) {
+    if ((null != template) &&
+        (typeof template !== "string") &&
+        (typeof template !== "function")) {
+        throw new Error("playlist template must be a string or a function");
+    }
+
+    uiPlaylistTemplate = template;
+    uiRenderPlaylist();
+}
+
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
 // Play                                                                     //
@@ -202,10 +957,17 @@ function setBaseImageUrl(baseImageUrl) {
 
 function play() {
     const wasAlreadyPlaying = playing;
+    const previousState = getPlayState();
 
     // remember that we are playing
     playing = true;
 
+    // if this instance is configured to be the only one playing,
+    // pause any other instances that are currently playing
+    if (pauseOthers && (! wasAlreadyPlaying)) {
+        pauseOtherInstances();
+    }
+
     // if we have a deferred file to load, this is the time to load it
     if (null != deferredAudioSrc) {
         audio.src = deferredAudioSrc;
@@ -219,35 +981,81 @@ function play() {
         deferredInitialSeekTime = null;
     }
 
+    // if the track only plays part of the file, start at the beginning
+    // of that part
+    moveToTrackStart(audio);
+
+    // a retry that was waiting to happen is happening now, and any error
+    // from here on is a new one
+    errorRetryTimer = clearTimer(errorRetryTimer);
+    handledErrorSrc = null;
+
+    // fade in, if we weren't playing already
+    // (from wherever a fade out that was in progress got to)
+    if (! wasAlreadyPlaying) {
+        if (playbackFadeDuration > 0) {
+            if (audio.paused) {
+                fadeLevel = 0;
+            }
+            fadeTo(1, playbackFadeDuration * (1 - fadeLevel), null);
+        } else {
+            fadeTo(1, 0, null);
+        }
+
+        // if the sleep timer was fading out when playback was paused,
+        // it has to start over
+        if ((null != sleepTimer) && sleepTimer["fading"]) {
+            sleepTimer["fading"] = false;
+            if ("minutes" == sleepTimer["mode"]) {
+                startSleepTimerFade(getSleepTimerRemaining());
+            }
+        }
+    }
+
+    // the track plays right away if enough of it has loaded already,
+    // otherwise the Audio object lets us know once it starts playing
+    setPlayerState(
+        (audio.readyState >= HAVE_FUTURE_DATA) ? "playing" : "loading");
+
     // start audio playback
+    const playingAudio = audio;
+    const playingSrc = audio.src;
     let playPromise = audio.play();
 
     // if playback doesn't start, update our state to reflect reality
     playPromise.catch((error) => {
+        // if something else was loaded in the meantime (e.g. the track
+        // changed), or pause() was called before playback could start,
+        // this isn't a real failure
+        if (("AbortError" == error.name) ||
+            (playingAudio !== audio) ||
+            (playingSrc !== audio.src)) {
+            return;
+        }
+
         // log an error to the console
         console.error("error playing " + audio.src);
         console.error(error);
 
-        // remember which file we were trying to play
-        deferredAudioSrc = audio.src;
-
-        // we just found out that we aren't actually playing
-        pause();
-
-        // update the play/pause button
-        uiUpdatePlayPauseButton();
+        handleTrackError(
+            ("NotAllowedError" == error.name) ?
+                "autoplay-blocked" :
+                (("NotSupportedError" == error.name) ?
+                    "unsupported" :
+                    "unknown"),
+            error);
     });
 
-    // set the play state interval handler
-    setPlayStateIntervalHandler();
+    // keep the play state updated while playing
+    updatePlayStateTimer();
 
     // update the play/pause button
     uiUpdatePlayPauseButton();
 
-    // call user-defined functions
-    handleUdfTrackChange(playlistIndex);
+    // send events to listeners
+    emitTrackChange(playlistIndex);
     if (! wasAlreadyPlaying) {
-        handleUdfPlay();
+        emitEvent("play", {"previousState": previousState});
     }
 }
 
@@ -258,18 +1066,34 @@ function play() {
 //////////////////////////////////////////////////////////////////////////////
 
 function stop() {
+    const previousState = getPlayState();
+
     // remember that we are not playing
     playing = false;
+    setPlayerState("stopped");
 
-    // pause audio playback
-    audio.pause();
+    // don't retry a failed track anymore
+    errorRetryTimer = clearTimer(errorRetryTimer);
+
+    // finish any track transition in progress
+    cancelTrackTransition();
+
+    // pause audio playback, and seek to the beginning
+    // (once the audio has faded out, if it fades)
+    const stoppingAudio = audio;
+    pauseAudio(() => {
+        if (! playing) {
+            stoppingAudio.currentTime = 0;
+
+            // (the position may have moved on while fading out)
+            uiSetPlaybackPosition(0);
+            uiUpdateStatus();
+        }
+    });
 
     // clear deferred initial seek time
     deferredInitialSeekTime = null;
 
-    // seek to the beginning
-    audio.currentTime = 0;
-
     // reset playback position
     uiSetPlaybackPosition(0);
 
@@ -279,8 +1103,8 @@ function stop() {
     // update elapsed/remaining time counter HTML display elements
     uiUpdateStatus();
 
-    // call user-defined function
-    handleUdfStop();
+    // send event to listeners
+    emitEvent("stop", {"previousState": previousState});
 }
 
 //////////////////////////////////////////////////////////////////////////////
@@ -290,11 +1114,20 @@ function stop() {
 //////////////////////////////////////////////////////////////////////////////
 
 function pause() {
+    const previousState = getPlayState();
+
     // remember that we are not playing
     playing = false;
+    setPlayerState("paused");
+
+    // don't retry a failed track anymore
+    errorRetryTimer = clearTimer(errorRetryTimer);
+
+    // finish any track transition in progress
+    cancelTrackTransition();
 
     // pause audio playback
-    audio.pause();
+    pauseAudio(null);
 
     // update the play/pause button
     uiUpdatePlayPauseButton();
@@ -302,8 +1135,8 @@ function pause() {
     // update elapsed/remaining time counter HTML display elements
     uiUpdateStatus();
 
-    // call user-defined function
-    handleUdfPause();
+    // send event to listeners
+    emitEvent("pause", {"previousState": previousState});
 }
 
 //////////////////////////////////////////////////////////////////////////////
@@ -332,6 +1165,28 @@ function isPlaying() {
     return playing;
 }
 
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the current state of the player                                      //
+//                                                                          //
+// Returns one of the following states:                                     //
+//                                                                          //
+//   loading      playback was started, and the track is still loading      //
+//   buffering    playback is waiting for more of the track to load         //
+//   playing      the track is playing                                      //
+//   paused       playback is paused                                        //
+//   stopped      playback is stopped (or hasn't been started yet)          //
+//   ended        the last track of the playlist ended                      //
+//   error        the current track failed to load or play                  //
+//                                                                          //
+// A state-change event is sent to listeners whenever the state changes     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getState() {
+    return playerState;
+}
+
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
 // Seek                                                                     //
@@ -339,11 +1194,25 @@ function isPlaying() {
 // Arguments                                                                //
 //                                                                          //
 //   seconds (required)                                                     //
-//     Location to seek to in the current audio track                       //
+//     Location to seek to in the current audio track. This is always the   //
+//     time in the audio file, even if the playlist object only plays part  //
+//     of the file (with "start" and "end" keys), and is kept within that   //
+//     part.                                                                //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
 function seek(seconds) {
+    // stay within the part of the file that this track plays
+    const range = getTrackRange();
+    seconds = Math.max(range["start"], seconds);
+    if (range["end"] >= range["start"]) {
+        seconds = Math.min(seconds, range["end"]);
+    }
+
+    // a scheduled jump at the end of the loop region (or track) is for
+    // the old playback position
+    boundaryTimer = clearTimer(boundaryTimer);
+
     // if we are currently playing
     if (playing) {
         // tell the running audio player to seek to the specified time
@@ -356,41 +1225,131 @@ function seek(seconds) {
 
         // maybe update the playback position slider
         if (! uiUserIsAdjustingTimeSlider) {
-            let percent = 0;
-            if (audio.duration > 0) {
-                percent = seconds / audio.duration * 100;
-            }
-
-            // update the playback position slider
-            uiSetPlaybackPosition(percent);
+            uiSetPlaybackPosition(uiTimeToPercent(seconds));
         }
     }
 
     // update elapsed/remaining time counter HTML display elements
     uiUpdateStatus();
+
+    // send event to listeners
+    emitEvent("seek", {"seekTime": seconds});
+
+    // seeking may have moved playback into a different chapter
+    updateCurrentChapter();
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Go to and play the previous track                                        //
+// Loop a region of the current track (A-B loop)                            //
+//                                                                          //
+// While playing, the player jumps back to the start of the region every    //
+// time it reaches the end, until clearLoop() is called or the track        //
+// changes. If the current playback position is outside of the region, it   //
+// moves to the start of the region.                                        //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   startSeconds (required)                                                //
+//     Start of the region, as a time in the audio file                     //
+//                                                                          //
+//   endSeconds (required)                                                  //
+//     End of the region, as a time in the audio file                       //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function prevTrack() {
-    // set the playlist index to the previous track
-    // wrap around again to the end if we're already on the first track
-    if (0 == playlistIndex) {
-        playlistIndex = playlist.length - 1;
-    } else {
-        playlistIndex--;
+function setLoop(startSeconds, endSeconds) {
+    requirePlaylist();
+
+    if ((! Number.isFinite(startSeconds)) ||
+        (! Number.isFinite(endSeconds)) ||
+        (startSeconds < 0) ||
+        (endSeconds <= startSeconds)) {
+        throw new Error("invalid loop region: " +
+            startSeconds + " to " + endSeconds);
     }
 
-    // clear deferred variables
+    boundaryTimer = clearTimer(boundaryTimer);
+
+    loopRegion = {
+        "start": startSeconds,
+        "end": endSeconds,
+        "track": playlist[playlistIndex]
+    };
+
+    // a gapless or crossfade transition can't happen while looping
+    cancelTrackTransition();
+
+    const time =
+        (null != deferredInitialSeekTime) ?
+        deferredInitialSeekTime :
+        audio.currentTime;
+    if ((time < startSeconds) || (time >= endSeconds)) {
+        seek(startSeconds);
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Stop looping the region set with setLoop(), and keep playing normally    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function clearLoop() {
+    loopRegion = null;
+    boundaryTimer = clearTimer(boundaryTimer);
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the region of the current track that is being looped                 //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   Object with "start" and "end" times in seconds, or null if no region   //
+//   of the current track is being looped                                   //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getLoop() {
+    const region = getLoopRegion();
+    if (null == region) {
+        return null;
+    }
+    return {"start": region["start"], "end": region["end"]};
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Go to and play the previous track                                        //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function prevTrack() {
+    // go to the previous chapter instead, if there is one
+    if (stepThroughChapters && prevChapter()) {
+        play();
+        return;
+    }
+
+    // set the playlist index to the previous track in the play order
+    // wrap around again to the end if we're already on the first track
+    if (0 == playOrderPosition) {
+        playOrderPosition = playOrder.length - 1;
+    } else {
+        playOrderPosition--;
+    }
+    playlistIndex = playOrder[playOrderPosition];
+
+    // finish any track transition in progress
+    cancelTrackTransition();
+
+    // clear deferred variables
     deferredAudioSrc = null;
     deferredInitialSeekTime = null;
 
     // load the new track in the audio player
-    audio.src = playlist[playlistIndex]["url"];
+    audio.src = getTrackUrl(playlist[playlistIndex]);
 
     // set playback position
     uiSetPlaybackPosition(0);
@@ -400,8 +1359,8 @@ function prevTrack() {
     // already on the first track)
     uiUpdateTrackSkipButtons();
 
-    // call user-defined functions
-    handleUdfTrackChange(playlistIndex);
+    // send event to listeners
+    emitTrackChange(playlistIndex);
 
     // start audio playback, if it wasn't started already
     play();
@@ -414,20 +1373,36 @@ function prevTrack() {
 //////////////////////////////////////////////////////////////////////////////
 
 function nextTrack() {
-    // set the playlist index to the next track
+    // go to the next chapter instead, if there is one
+    // (but not when the track has ended, and we're moving on from it)
+    if (stepThroughChapters && (! hasReachedTrackEnd()) && nextChapter()) {
+        play();
+        return;
+    }
+
+    // set the playlist index to the next track in the play order
     // wrap around to the beginning if we're already on the last track
-    if (playlistIndex == (playlist.length - 1)) {
-        playlistIndex = 0;
+    if (playOrderPosition == (playOrder.length - 1)) {
+        // if we're shuffling, every track has played by now,
+        // so start over with a fresh order
+        if (shuffle) {
+            playOrder = buildPlayOrder(null, playlistIndex);
+        }
+        playOrderPosition = 0;
     } else {
-        playlistIndex++;
+        playOrderPosition++;
     }
+    playlistIndex = playOrder[playOrderPosition];
+
+    // finish any track transition in progress
+    cancelTrackTransition();
 
     // clear deferred variables
     deferredAudioSrc = null;
     deferredInitialSeekTime = null;
 
     // load the new track in the audio player
-    audio.src = playlist[playlistIndex]["url"];
+    audio.src = getTrackUrl(playlist[playlistIndex]);
 
     // reset playback position
     uiSetPlaybackPosition(0);
@@ -437,8 +1412,8 @@ function nextTrack() {
     // already on the last track)
     uiUpdateTrackSkipButtons();
 
-    // call user-defined functions
-    handleUdfTrackChange(playlistIndex);
+    // send event to listeners
+    emitTrackChange(playlistIndex);
 
     // start audio playback, if it wasn't started already
     play();
@@ -464,8 +1439,10 @@ function playTrack(trackIndex) {
     // if we are being asked to go to a different track than the one
     // that is already selected in the player, load it up now
     if (trackIndex != playlistIndex) {
+        cancelTrackTransition();
         playlistIndex = trackIndex;
-        audio.src = playlist[playlistIndex]["url"];
+        playOrderPosition = playOrder.indexOf(trackIndex);
+        audio.src = getTrackUrl(playlist[playlistIndex]);
     }
 
     // update the track skip buttons,
@@ -495,663 +1472,6780 @@ function getCurrentPlaylistIndex() {
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Formats a given number of seconds as a human-readable display time       //
+// Get the source that was picked for the selected playlist track           //
 //                                                                          //
-// Arguments                                                                //
+// Returns                                                                  //
 //                                                                          //
-//   seconds (required)                                                     //
-//     An integer or floating point number of seconds,                      //
-//     either positive or negative                                          //
+//   An object with the "url" and "type" of the source that is loaded (or   //
+//   will be loaded) for the current track, or null if there is no          //
+//   playlist. For a playlist object with a "url" instead of "sources",     //
+//   that's its "url", with a "type" of null.                               //
 //                                                                          //
-// Returns                                                                  //
+//////////////////////////////////////////////////////////////////////////////
+
+function getCurrentSource() {
+    if (null == playlist) {
+        return null;
+    }
+
+    const track = playlist[playlistIndex];
+    const source = getTrackSources(track)[getTrackSourceIndex(track)];
+
+    return {
+        "url": source["url"],
+        "type": (null != source["type"]) ? source["type"] : null
+    };
+}
+
+//////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-//   String representing the given number of seconds in hours, minutes,     //
-//   and seconds, suitable for display in elapsed/remaining/duration time   //
-//   displays in the user interface.                                        //
+// Get the current chapter of the current track                             //
 //                                                                          //
-//   If invalid input is provided, then the "no time" string is returned.   //
-//   This can be customized using the setNoTimeDisplay() function.          //
+// Chapters come from the "chapters" array of the current playlist object,  //
+// which lists {"start", "title"} objects in order, with start times in     //
+// seconds, or from a WebVTT or Podcasting 2.0 JSON chapters file that the  //
+// "chaptersUrl" entry points to.                                           //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   A copy of the current chapter object, with an extra "index" key for    //
+//   its position in the chapters array, or null if the current track has   //
+//   no chapters (or playback is before the first one).                     //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function secondsToDisplayTime(seconds) {
-    if (Number.isNaN(seconds)) {
-        return noTime;
+function getCurrentChapter() {
+    if (null == playlist) {
+        return null;
     }
 
-    const intTotalSeconds = Math.round(Math.abs(seconds));
-    if (Number.isNaN(intTotalSeconds)) {
-        return noTime;
+    const track = playlist[playlistIndex];
+    const chapterIndex = findChapterIndex(track, getChapterTime());
+    if (null == chapterIndex) {
+        return null;
     }
 
-    const intHours = Math.floor(intTotalSeconds / 3600);
-    if (Number.isNaN(intHours)) {
-        return noTime;
-    }
+    return Object.assign(
+        {"index": chapterIndex}, track["chapters"][chapterIndex]);
+}
 
-    const intMinutes = Math.floor(intTotalSeconds / 60);
-    if (Number.isNaN(intMinutes)) {
-        return noTime;
-    }
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Seek to the start of the next chapter of the current track               //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   true if there was a next chapter to seek to, otherwise false           //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
 
-    const intSeconds = Math.round(intTotalSeconds % 60);
-    if (Number.isNaN(intSeconds)) {
-        return noTime;
+function nextChapter() {
+    if (null == playlist) {
+        return false;
     }
 
-    const maybeNegative = (seconds < 0) ? "-" : "";
+    const chapters = getTrackChapters(playlist[playlistIndex]);
+    const time = getChapterTime();
 
-    let strMinutes = "" + intMinutes;
-    if (displayTimeZeroPad) {
-        if (intMinutes < 10) {
-            strMinutes = "0" + intMinutes;
+    // the first chapter that starts after the current time
+    for (let i=0; i < chapters.length; i++) {
+        if (chapters[i]["start"] > time) {
+            seek(chapters[i]["start"]);
+            return true;
         }
     }
+    return false;
+}
 
-    let strSeconds = "" + intSeconds;
-    if (intSeconds < 10) {
-        strSeconds = "0" + intSeconds;
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Seek to the start of the previous chapter of the current track           //
+//                                                                          //
+// Like the previous track button on a CD player, this goes back to the     //
+// start of the current chapter instead, if more than a few seconds of it   //
+// have played.                                                             //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   true if there was a chapter to seek to, otherwise false                //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function prevChapter() {
+    if (null == playlist) {
+        return false;
     }
 
-    if (intHours > 0) {
-        let strHours = "" + intHours;
-        let modMinutes = (intMinutes % 60);
-        strMinutes = "" + modMinutes;
-        if (modMinutes < 10) {
-            strMinutes = "0" + modMinutes;
-        }
+    const track = playlist[playlistIndex];
+    const time = getChapterTime();
+    const chapterIndex = findChapterIndex(track, time);
+    if (null == chapterIndex) {
+        return false;
+    }
 
-        return maybeNegative + strHours + ":" + strMinutes + ":" + strSeconds;
+    const chapters = track["chapters"];
+    const chapterStart = chapters[chapterIndex]["start"];
+    if ((time - chapterStart) > PREV_CHAPTER_RESTART_SECONDS) {
+        seek(chapterStart);
+        return true;
     }
 
-    return maybeNegative + strMinutes + ":" + strSeconds;
+    if (chapterIndex > 0) {
+        seek(chapters[chapterIndex - 1]["start"]);
+        return true;
+    }
+    return false;
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Set the display string that represents no time                           //
+// Play the current track, starting at the given chapter                    //
 //                                                                          //
-// The default is 0:00                                                      //
+// Arguments                                                                //
+//                                                                          //
+//   chapterIndex (required)                                                //
+//     Index of the chapter in the "chapters" array of the current track    //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function setNoTimeDisplay(value) {
-    noTime = value;
+function playChapter(chapterIndex) {
+    requirePlaylist();
+
+    const chapters = getTrackChapters(playlist[playlistIndex]);
+    if ((! Number.isInteger(chapterIndex)) ||
+        (chapterIndex < 0) ||
+        (chapterIndex >= chapters.length)) {
+        throw new Error("chapter index out of range: " + chapterIndex);
+    }
+
+    seek(chapters[chapterIndex]["start"]);
+    play();
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Enable the zero-padding of minutes in time displays                      //
+// Make prevTrack() and nextTrack() step through chapters first             //
 //                                                                          //
-// The default is disabled                                                  //
+// When enabled, prevTrack() and nextTrack() work like prevChapter() and    //
+// nextChapter() while the current track has a chapter to go to, and only   //
+// change tracks at the first and last chapters. This includes the basic    //
+// UI prev/next track buttons, keyboard shortcuts and media keys.           //
 //                                                                          //
-// Examples                                                                 //
-//   zero-padding disabled: 0:42                                            //
-//   zero-padding enabled:  00:42                                           //
+// Arguments                                                                //
+//                                                                          //
+//   enabled (required)                                                     //
+//     true to step through chapters, false to always change tracks (the    //
+//     default)                                                             //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function enableDisplayTimeZeroPad() {
-    displayTimeZeroPad = true;
+function setStepThroughChapters(enabled) {
+    stepThroughChapters = (true === enabled);
+
+    // the prev/next track buttons may have something to do now
+    uiUpdateTrackSkipButtons();
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Returns the HTMLAudioElement used for audio playback, which was          //
-// created during init()                                                    //
-//                                                                          //
-// This is generally only required if you want to make advanced             //
-// UI customizations, and add custom event listeners, instead of using the  //
-// default interface elements.                                              //
+// Returns true if prevTrack() and nextTrack() step through chapters first  //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function getAudio() {
-    return audio;
+function getStepThroughChapters() {
+    return stepThroughChapters;
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Register a user-defined play handler function                            //
+// Add a track to the playlist, without interrupting playback               //
 //                                                                          //
-// This function will be called whenever playback is started                //
+// The playlist passed to init() or loadPlaylist() is modified in place.    //
 //                                                                          //
-// The user-defined function must not accept any arguments                  //
+// Arguments                                                                //
 //                                                                          //
-// No return value is required, or used                                     //
+//   track (required)                                                       //
+//     Playlist object, with a "url" (or "sources") entry just like the     //
+//     ones passed to init()                                                //
+//                                                                          //
+//   index (optional)                                                       //
+//     Playlist index to insert the track at. Tracks at this index and      //
+//     after it move down by one. If omitted, the track is appended to the  //
+//     end of the playlist.                                                 //
+//                                                                          //
+// If shuffle is enabled, the new track is inserted at a random position    //
+// in the part of the shuffled order that hasn't played yet.                //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function registerPlayHandler(playHandler) {
-    udfPlayHandler = playHandler;
+function addTrack(track, index) {
+    requirePlaylist();
+
+    if (undefined === index) {
+        index = playlist.length;
+    }
+    validatePlaylistInsertIndex(index);
+    validatePlaylistEntry(track, index);
+
+    // if we're shuffling, pick a random spot in the part of the
+    // shuffled order that hasn't played yet
+    let orderPosition = null;
+    if (shuffle) {
+        orderPosition = playOrderPosition + 1 + Math.floor(
+            shuffleRandom() * (playOrder.length - playOrderPosition));
+    }
+
+    insertTrack(track, index, orderPosition);
+
+    // send event to listeners
+    emitPlaylistChange("add", {"index": index});
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Register a user-defined pause handler function                           //
+// Remove a track from the playlist                                         //
 //                                                                          //
-// This function will be called whenever playback is paused                 //
-// (but not stopped)                                                        //
+// The playlist passed to init() or loadPlaylist() is modified in place.    //
 //                                                                          //
-// The user-defined function must not accept any arguments                  //
+// If the current track is removed, the player moves on to the track that   //
+// would have played next, and keeps playing if it was already playing.     //
+// The last remaining track in the playlist can not be removed.             //
 //                                                                          //
-// No return value is required, or used                                     //
+// Arguments                                                                //
+//                                                                          //
+//   index (required)                                                       //
+//     Playlist index of the track to remove                                //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function registerPauseHandler(pauseHandler) {
-    udfPauseHandler = pauseHandler;
+function removeTrack(index) {
+    requirePlaylist();
+    validatePlaylistIndex(index);
+    if (1 == playlist.length) {
+        throw new Error("playlist can not be empty");
+    }
+
+    const removingCurrentTrack = (index == playlistIndex);
+
+    playlist.splice(index, 1);
+
+    remapPlaylistIndexes((i) => {
+        if (i == index) {
+            return -1;
+        }
+        return (i > index) ? (i - 1) : i;
+    });
+
+    // if the current track was removed, load the one that replaced it
+    if (removingCurrentTrack) {
+        loadReplacementTrack();
+    }
+
+    uiUpdateTrackSkipButtons();
+
+    // send event to listeners
+    emitPlaylistChange("remove", {"index": index});
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Register a user-defined stop handler function                            //
+// Move a track to a different position in the playlist                     //
 //                                                                          //
-// This function will be called whenever playback is stopped                //
-// (but not paused)                                                         //
+// The playlist passed to init() or loadPlaylist() is modified in place,    //
+// and the current track keeps playing even if it is the one being moved.   //
 //                                                                          //
-// The user-defined function must not accept any arguments                  //
+// Arguments                                                                //
 //                                                                          //
-// No return value is required, or used                                     //
+//   fromIndex (required)                                                   //
+//     Playlist index of the track to move                                  //
+//                                                                          //
+//   toIndex (required)                                                     //
+//     Playlist index the track should end up at                            //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function registerStopHandler(stopHandler) {
-    udfStopHandler = stopHandler;
+function moveTrack(fromIndex, toIndex) {
+    requirePlaylist();
+    validatePlaylistIndex(fromIndex);
+    validatePlaylistIndex(toIndex);
+
+    const track = playlist.splice(fromIndex, 1)[0];
+    playlist.splice(toIndex, 0, track);
+
+    remapPlaylistIndexes((i) => {
+        if (i == fromIndex) {
+            return toIndex;
+        }
+        if ((fromIndex < toIndex) && (i > fromIndex) && (i <= toIndex)) {
+            return i - 1;
+        }
+        if ((fromIndex > toIndex) && (i >= toIndex) && (i < fromIndex)) {
+            return i + 1;
+        }
+        return i;
+    });
+
+    uiUpdateTrackSkipButtons();
+
+    // send event to listeners
+    emitPlaylistChange("move", {"fromIndex": fromIndex, "toIndex": toIndex});
 }
 
 //////////////////////////////////////////////////////////////////////////////
 //                                                                          //
-// Register a user-defined track change handler function                    //
+// Add a track to the playlist, so that it plays right after the current    //
+// track                                                                    //
 //                                                                          //
-// This function will be called whenever the player changes to a new track  //
+// The track is inserted into the playlist right after the current track.   //
+// If shuffle is enabled, it is also placed right after the current track   //
+// in the shuffled order.                                                   //
 //                                                                          //
-// The user-defined function must accept a single argument, which           //
-// corresponds to the new playlist index when the track is changed          //
+// Arguments                                                                //
 //                                                                          //
-// No return value is required, or used                                     //
+//   track (required)                                                       //
+//     Playlist object, with a "url" (or "sources") entry just like the     //
+//     ones passed to init()                                                //
 //                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-function registerTrackChangeHandler(trackChangeHandler) {
-    udfTrackChangeHandler = trackChangeHandler;
+function playNext(track) {
+    requirePlaylist();
+
+    const index = playlistIndex + 1;
+    validatePlaylistEntry(track, index);
+
+    insertTrack(track, index, playOrderPosition + 1);
+
+    // send event to listeners
+    emitPlaylistChange("add", {"index": index});
 }
 
 //////////////////////////////////////////////////////////////////////////////
-// PRIVATE FUNCTIONS                                                        //
+//                                                                          //
+// Remove every track from the playlist except the current one              //
+//                                                                          //
+// The playlist passed to init() or loadPlaylist() is modified in place,    //
+// and the current track keeps playing.                                     //
+//                                                                          //
 //////////////////////////////////////////////////////////////////////////////
 
-// run the provided function reference in a try block,
-// and log any errors to the console
-function handleUdfNoArgFunction(functionRef) {
-    if (null != functionRef) {
-        try {
-            functionRef();
-        } catch (error) {
-            console.error(error);
-        }
-    }
-}
+function clearQueue() {
+    requirePlaylist();
 
-// call the user-defined play handler function (if we have one)
-function handleUdfPlay() {
-    handleUdfNoArgFunction(udfPlayHandler);
-}
+    const currentIndex = playlistIndex;
 
-// call the user-defined pause handler function (if we have one)
-function handleUdfPause() {
-    handleUdfNoArgFunction(udfPauseHandler);
-}
+    playlist.splice(currentIndex + 1);
+    playlist.splice(0, currentIndex);
+
+    remapPlaylistIndexes((i) => (i == currentIndex) ? 0 : -1);
+
+    uiUpdateTrackSkipButtons();
 
-// call the user-defined stop handler function (if we have one)
-function handleUdfStop() {
-    handleUdfNoArgFunction(udfStopHandler);
+    // send event to listeners
+    emitPlaylistChange("clear", {});
 }
 
-// call the user-defined track change handler function (if we have one)
-function handleUdfTrackChange(playlistIndex) {
-    // if we have a user-defined track change handler function
-    if (null != udfTrackChangeHandler) {
-        // if the track has changed since the last time we called it
-        if (playlistIndex != udfPrevTrackChangeHandlerIndex) {
-            // call the user-defined function
-            // with the current playlist index
-            try {
-                udfTrackChangeHandler(playlistIndex);
-            } catch (error) {
-                console.error(error);
-            }
-        }
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the repeat mode                                                      //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   mode (required)                                                        //
+//     One of the following:                                                //
+//                                                                          //
+//       "off"  play through the playlist once, then go back to the first   //
+//              track and stop (the default)                                //
+//       "one"  play the current track over and over again                  //
+//       "all"  play through the playlist, then start over again from the   //
+//              first track without stopping                                //
+//                                                                          //
+// The repeat mode only affects what happens when a track ends on its own.  //
+// prevTrack() and nextTrack() always wrap around at either end of the      //
+// playlist. However, the basic UI prev/next track buttons are only         //
+// disabled at the ends of the playlist when the mode is not "all".         //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setRepeatMode(mode) {
+    if (! REPEAT_MODES.includes(mode)) {
+        throw new Error("unknown repeat mode '" + mode + "'");
+    }
+
+    const previousRepeatMode = repeatMode;
+    repeatMode = mode;
+
+    // the track skip buttons are never disabled under repeat-all
+    uiUpdateTrackSkipButtons();
 
-        // remember which playlist index we called the function with
-        // for next time
-        udfPrevTrackChangeHandlerIndex = playlistIndex;
+    // send event to listeners
+    if (repeatMode != previousRepeatMode) {
+        emitEvent("repeat-mode", {
+            "repeatMode": repeatMode,
+            "previousRepeatMode": previousRepeatMode
+        });
     }
 }
 
-// enable the playStateIntervalHandler interval timer
-function setPlayStateIntervalHandler() {
-    setInterval(playStateIntervalHandler, 100);
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the repeat mode                                                      //
+//                                                                          //
+// Returns "off", "one" or "all" (see setRepeatMode())                      //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getRepeatMode() {
+    return repeatMode;
 }
 
-// playStateIntervalHandler
-//
-// Intended to be run frequently from a JavaScript interval timer,
-// once the the audio player starts playing
-//
-// It also has to continue running after the audio player has started,
-// because outside forces like the iPhone media controls on the lock
-// screen can also control the audio playback outside of our API
-//
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable or disable shuffle                                                //
+//                                                                          //
+// When shuffle is enabled, the playlist is played in a random order,       //
+// without repeating any tracks until every track has played. prevTrack(),  //
+// nextTrack(), and the end of each track all follow the shuffled order.    //
+//                                                                          //
+// The current track keeps playing when shuffle is turned on or off, and    //
+// getCurrentPlaylistIndex() always returns the real index into the         //
+// playlist, not the position in the shuffled order.                        //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   enabled (required)                                                     //
+//     true to enable shuffle, or false to disable it                       //
+//                                                                          //
+//   seed (optional)                                                        //
+//     Integer seed for the random number generator. The same seed and      //
+//     playlist always produce the same play order, which is useful for     //
+//     testing. If omitted, Math.random() is used.                          //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setShuffle(enabled, seed) {
+    const wasShuffled = shuffle;
+    shuffle = (true === enabled);
+
+    if (undefined !== seed) {
+        shuffleRandom = createSeededRandom(seed);
+    } else {
+        shuffleRandom = Math.random;
+    }
+
+    // rebuild the play order, keeping the current track where it is
+    if (null != playlist) {
+        if (shuffle) {
+            // the current track goes first in the new shuffled order
+            playOrder = buildPlayOrder(playlistIndex, null);
+            playOrderPosition = 0;
+        } else {
+            // back to the normal playlist order
+            playOrder = buildPlayOrder(null, null);
+            playOrderPosition = playlistIndex;
+        }
+
+        // the current track may now be at a different end of the play order
+        uiUpdateTrackSkipButtons();
+    }
+
+    // send event to listeners
+    if (shuffle != wasShuffled) {
+        emitEvent("shuffle", {"shuffle": shuffle});
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Is shuffle enabled?                                                      //
+//                                                                          //
+// Returns true if shuffle is enabled, or false otherwise                   //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getShuffle() {
+    return shuffle;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the order in which the playlist will be played                       //
+//                                                                          //
+// Returns a new array of playlist indexes, in play order. This is just     //
+// [0, 1, 2, ...] unless shuffle is enabled.                                //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getPlayOrder() {
+    return playOrder.slice();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable or disable gapless playback                                       //
+//                                                                          //
+// When gapless playback is enabled, the next track is loaded ahead of      //
+// time into a second Audio object, and started right at the end of the     //
+// current track, instead of being loaded after the current track ends.     //
+//                                                                          //
+// This applies when a track ends on its own, and the next track is part    //
+// of the play order. A playlist object can opt out of gapless playback     //
+// and crossfade (on either side of the transition) with a "gapless" key    //
+// set to false.                                                            //
+//                                                                          //
+// The default is disabled                                                  //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setGapless(enabled) {
+    gapless = enabled;
+
+    if (! gapless) {
+        transitionTimer = clearTimer(transitionTimer);
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Is gapless playback enabled?                                             //
+//                                                                          //
+// Returns true if gapless playback is enabled, or false otherwise          //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getGapless() {
+    return gapless;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the crossfade duration between tracks                                //
+//                                                                          //
+// When a track is about to end on its own, the next track starts playing   //
+// this many seconds early, and the volumes of the two tracks are ramped    //
+// in opposite directions until the old track is silent. The next track is  //
+// loaded ahead of time, the same way as with gapless playback.             //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   seconds (required)                                                     //
+//     Crossfade duration, in seconds. 0 disables crossfade (the default).  //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setCrossfade(seconds) {
+    if ((! Number.isFinite(seconds)) || (seconds < 0)) {
+        throw new Error("invalid crossfade duration '" + seconds + "'");
+    }
+
+    crossfadeDuration = seconds;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the crossfade duration between tracks, in seconds                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getCrossfade() {
+    return crossfadeDuration;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set how long play(), pause() and stop() fade in or out for               //
+//                                                                          //
+// Instead of cutting the audio off abruptly, pause() and stop() fade it    //
+// out over this many seconds before pausing, and play() fades it in. The   //
+// player state changes (and events are sent) right away, without waiting   //
+// for the fade.                                                            //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   seconds (required)                                                     //
+//     Fade duration, in seconds. 0 disables fading (the default).          //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setPlaybackFade(seconds) {
+    if ((! Number.isFinite(seconds)) || (seconds < 0)) {
+        throw new Error("invalid fade duration '" + seconds + "'");
+    }
+
+    playbackFadeDuration = seconds;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get how long play(), pause() and stop() fade in or out for, in seconds   //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getPlaybackFade() {
+    return playbackFadeDuration;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set a sleep timer, which pauses playback later on                        //
+//                                                                          //
+// The audio fades out smoothly before the player pauses. Setting a sleep   //
+// timer replaces the one that was set before, if any.                      //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   duration (required)                                                    //
+//     One of the following:                                                //
+//                                                                          //
+//       number           pause after this many minutes (up to 1440, which  //
+//                        is one day)                                       //
+//       "endOfTrack"     pause at the end of the current track             //
+//       "endOfChapter"   pause at the end of the current chapter (or the   //
+//                        end of the track, if it has no more chapters)     //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       fade   how long to fade out for before pausing, in seconds         //
+//              (default 10)                                                //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.setSleepTimer(30);                                      //
+//   diyaudioplayer.setSleepTimer("endOfChapter", {"fade": 3});             //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setSleepTimer(duration, options) {
+    const settings = Object.assign({
+        "fade": SLEEP_TIMER_FADE_SECONDS
+    }, options);
+
+    if ((! SLEEP_TIMER_MODES.includes(duration)) &&
+        ((typeof duration !== "number") || (! Number.isFinite(duration)) ||
+         (duration <= 0) || (duration > SLEEP_TIMER_MAX_MINUTES))) {
+        throw new Error("invalid sleep timer duration '" + duration + "'");
+    }
+    if ((typeof settings["fade"] !== "number") ||
+        (! (settings["fade"] >= 0))) {
+        throw new Error("invalid sleep timer fade '" + settings["fade"] + "'");
+    }
+
+    clearSleepTimer();
+
+    sleepTimer = {
+        "mode": (typeof duration === "number") ? "minutes" : duration,
+        "fadeSeconds": settings["fade"],
+        "fading": false
+    };
+
+    if ("minutes" == sleepTimer["mode"]) {
+        // start fading out when the time is almost up
+        const durationMs = duration * 60 * 1000;
+        sleepTimer["endTime"] = performance.now() + durationMs;
+        sleepTimerTimeout = setTimeout(() => {
+            sleepTimerTimeout = null;
+            startSleepTimerFade(sleepTimer["fadeSeconds"]);
+        }, Math.max(0, durationMs - (sleepTimer["fadeSeconds"] * 1000)));
+    } else {
+        // a gapless or crossfade transition that was already lined up
+        // shouldn't happen anymore
+        transitionTimer = clearTimer(transitionTimer);
+    }
+
+    emitEvent("sleep-timer", {
+        "action": "set",
+        "mode": sleepTimer["mode"],
+        "remaining": getSleepTimerRemaining()
+    });
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Cancel the sleep timer                                                   //
+//                                                                          //
+// If the sleep timer was already fading out, the volume goes back up.      //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function cancelSleepTimer() {
+    if (null == sleepTimer) {
+        return;
+    }
+
+    const mode = sleepTimer["mode"];
+    clearSleepTimer();
+
+    emitEvent("sleep-timer", {
+        "action": "cancel",
+        "mode": mode,
+        "remaining": null
+    });
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get how long until the sleep timer pauses playback                       //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   The number of seconds left, or null if there is no sleep timer (or     //
+//   it's waiting for the end of a track whose duration isn't known yet).   //
+//   For "endOfTrack" and "endOfChapter", this is in real time at the       //
+//   current playback rate.                                                 //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getSleepTimerRemaining() {
+    if (null == sleepTimer) {
+        return null;
+    }
+
+    if ("minutes" == sleepTimer["mode"]) {
+        return Math.max(0, (sleepTimer["endTime"] - performance.now()) / 1000);
+    }
+
+    const remaining = getSleepTimerBoundary() - getChapterTime();
+    if (! Number.isFinite(remaining)) {
+        return null;
+    }
+    return Math.max(0, remaining / playbackRate);
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable Media Session support                                             //
+//                                                                          //
+// Shows the current track on the lock screen and in the browser's media    //
+// controls, and lets hardware media keys and lock screen buttons control   //
+// the player through play(), pause(), stop(), prevTrack(), nextTrack() and //
+// seek(). Does nothing in browsers without the Media Session API.          //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       title        playlist key holding the track title                  //
+//                    (default "title")                                     //
+//       artist       playlist key holding the artist name                  //
+//                    (default "artist")                                    //
+//       album        playlist key holding the album name                   //
+//                    (default "album")                                     //
+//       artwork      playlist key holding the artwork image URL, or an     //
+//                    array of MediaImage objects (default "image")         //
+//       seekOffset   seconds to skip for the seek forward/backward         //
+//                    actions, if the browser doesn't say (default 10)      //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.enableMediaSession({"artwork": "coverUrl"});            //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enableMediaSession(options) {
+    const alreadyEnabled = (null != mediaSessionOptions);
+
+    mediaSessionOptions = Object.assign({
+        "title": "title",
+        "artist": "artist",
+        "album": "album",
+        "artwork": "image",
+        "seekOffset": 10
+    }, options);
+
+    if (! mediaSessionAvailable()) {
+        return;
+    }
+
+    // keep the Media Session up to date as things change
+    if (! alreadyEnabled) {
+        on("play", mediaSessionClaim);
+        on("pause", mediaSessionUpdatePlaybackState);
+        on("stop", mediaSessionUpdatePlaybackState);
+        on("track-change", mediaSessionUpdateMetadata);
+        on("seek", mediaSessionUpdatePositionState);
+        on("timeupdate", mediaSessionUpdatePositionState);
+        listenToAudio("loadedmetadata", mediaSessionUpdatePositionState);
+        listenToAudio("ratechange", mediaSessionUpdatePositionState);
+    }
+
+    // take over the Media Session right away if nobody else has it,
+    // or if this instance is the one that's playing
+    if ((null == mediaSessionOwner) || playing) {
+        mediaSessionClaim();
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the playback volume                                                  //
+//                                                                          //
+// The volume is kept across track changes and new playlists. Setting the   //
+// volume does not unmute the audio if it is muted.                         //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   level (required)                                                       //
+//     Volume from 0 (silent) to 1 (full volume, the default)               //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setVolume(level) {
+    if ((typeof level !== "number") || (! (level >= 0)) || (level > 1)) {
+        throw new Error("invalid volume '" + level + "'");
+    }
+
+    volume = level;
+    applyVolume();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the playback volume                                                  //
+//                                                                          //
+// Returns the volume from 0 to 1, which is not affected by muting          //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getVolume() {
+    return volume;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Mute the audio                                                           //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function mute() {
+    muted = true;
+    applyVolume();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Unmute the audio                                                         //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function unmute() {
+    muted = false;
+    applyVolume();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Mute / Unmute                                                            //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function toggleMute() {
+    if (muted) {
+        unmute();
+    } else {
+        mute();
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Is the audio muted?                                                      //
+//                                                                          //
+// Returns true if the audio is muted, or false otherwise                   //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function isMuted() {
+    return muted;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the playback rate                                                    //
+//                                                                          //
+// The playback rate is kept across track changes and new playlists.        //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   rate (required)                                                        //
+//     Playback rate, where 1 is normal speed, 0.75 is slower, and 2 is     //
+//     twice as fast. Must be between 0.0625 and 16.                        //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setPlaybackRate(rate) {
+    if ((typeof rate !== "number") ||
+        (! (rate >= MIN_PLAYBACK_RATE)) ||
+        (rate > MAX_PLAYBACK_RATE)) {
+        throw new Error("invalid playback rate '" + rate + "'");
+    }
+
+    playbackRate = rate;
+
+    applyPlaybackRate(audio);
+    if (null != standbyAudio) {
+        applyPlaybackRate(standbyAudio);
+    }
+
+    // update the playback rate control and time displays
+    uiUpdatePlaybackRate();
+    uiUpdateStatus();
+
+    // send event to listeners
+    emitEvent("rate-change", {"playbackRate": playbackRate});
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the playback rate                                                    //
+//                                                                          //
+// Returns the playback rate, where 1 is normal speed                       //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getPlaybackRate() {
+    return playbackRate;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the list of playback rates to cycle through                          //
+//                                                                          //
+// cyclePlaybackRate() and the basic UI playback rate button step through   //
+// these rates in order, and wrap around at the end.                        //
+//                                                                          //
+// The default is [0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3]                     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setPlaybackRateOptions(rates) {
+    if ((! Array.isArray(rates)) || (0 == rates.length)) {
+        throw new Error("playback rate options can not be empty");
+    }
+
+    playbackRateOptions = rates.slice();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Change to the next playback rate in the list of playback rate options    //
+//                                                                          //
+// If the current rate isn't in the list, the first rate faster than the    //
+// current one is used (wrapping around to the first rate in the list).     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function cyclePlaybackRate() {
+    let nextRate = playbackRateOptions[0];
+
+    const currentPosition = playbackRateOptions.indexOf(playbackRate);
+    if (currentPosition >= 0) {
+        nextRate = playbackRateOptions[
+            (currentPosition + 1) % playbackRateOptions.length];
+    } else {
+        for (let i=0; i < playbackRateOptions.length; i++) {
+            if (playbackRateOptions[i] > playbackRate) {
+                nextRate = playbackRateOptions[i];
+                break;
+            }
+        }
+    }
+
+    setPlaybackRate(nextRate);
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Keep the pitch the same when the playback rate changes                   //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   enabled (required)                                                     //
+//     true to keep voices sounding natural at faster and slower rates      //
+//     (the default), or false to let the pitch go up and down with the     //
+//     playback rate, like a tape machine                                   //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setPreservesPitch(enabled) {
+    preservesPitch = enabled;
+
+    applyPlaybackRate(audio);
+    if (null != standbyAudio) {
+        applyPlaybackRate(standbyAudio);
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Does the pitch stay the same when the playback rate changes?             //
+//                                                                          //
+// Returns true if the pitch is preserved, or false otherwise               //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getPreservesPitch() {
+    return preservesPitch;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Show remaining time in real time at the current playback rate            //
+//                                                                          //
+// When enabled, the basic UI remaining time display shows how long it      //
+// will actually take to finish the track at the current playback rate,     //
+// instead of the remaining time in the track itself.                       //
+//                                                                          //
+// The default is disabled                                                  //
+//                                                                          //
+// Examples (with 10:00 left in the track, at 2x speed)                     //
+//   disabled: -10:00                                                       //
+//   enabled:  -5:00                                                        //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enableRateAdjustedRemainingTime() {
+    rateAdjustedRemainingTime = true;
+    uiUpdateStatus();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable saving and restoring the playback state across page loads         //
+//                                                                          //
+// The current track, playback position, volume, mute, playback rate,       //
+// repeat mode and shuffle settings are saved as they change, and restored  //
+// when init() is called. If a playlist has already been loaded, the saved  //
+// state is restored right away.                                            //
+//                                                                          //
+// Restoring never starts playback. The saved playback position is          //
+// delivered through seek(), so it works on browsers that can't seek        //
+// before playback has started.                                             //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       id             identifier for the playlist, which keeps pages and  //
+//                      player instances from overwriting each other's      //
+//                      saved state (default is the page path, plus the     //
+//                      number of the player instance for instances other   //
+//                      than the default player, e.g. "/music/#1". Set an   //
+//                      id if the instances aren't always created in the    //
+//                      same order.)                                        //
+//       storage        storage adapter object, with get(key) and           //
+//                      set(key, value) functions that read and write       //
+//                      strings. get() may also return a Promise. The       //
+//                      default uses window.localStorage.                   //
+//       saveInterval   how often to save the playback position while       //
+//                      playing, in seconds (default 5)                     //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.enablePersistence({"id": "podcast"});                   //
+//   diyaudioplayer.init(playlist);                                         //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enablePersistence(options) {
+    const alreadyEnabled = (null != persistenceOptions);
+
+    persistenceOptions = Object.assign({
+        "id": persistenceDefaultId(),
+        "storage": persistenceLocalStorageAdapter,
+        "saveInterval": 5
+    }, options);
+
+    // save the state as it changes
+    if (! alreadyEnabled) {
+        on("track-change", persistenceSave);
+        on("pause", persistenceSave);
+        on("stop", persistenceSave);
+        on("seek", persistenceSave);
+        on("volume-change", persistenceSave);
+        on("rate-change", persistenceSave);
+        on("repeat-mode", persistenceSave);
+        on("shuffle", persistenceSave);
+        on("timeupdate", persistenceSaveThrottled);
+
+        // save one last time when the visitor leaves the page
+        if (typeof window !== "undefined") {
+            window.addEventListener("pagehide", persistenceSave);
+        }
+    }
+
+    // if we're already initialized, restore right away,
+    // otherwise hold off on saving until init() has restored the state
+    if (null != playlist) {
+        persistenceRestore();
+    } else {
+        persistenceRestoring = true;
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable keyboard shortcuts for controlling playback                       //
+//                                                                          //
+// By default, the following keys are handled:                              //
+//                                                                          //
+//   Space, K             play/pause                                        //
+//   Left/Right arrow     seek backward/forward                             //
+//   Shift+Left/Right     previous/next track                               //
+//   M                    mute/unmute                                       //
+//                                                                          //
+// Shortcuts are ignored while the user is typing in a text field, select   //
+// box or contentEditable element, and when Ctrl, Alt or Meta is held down. //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       keyMap        object mapping KeyboardEvent.key values to actions,  //
+//                     merged with the default key map. An action is        //
+//                     either one of the names below, a function that is    //
+//                     called with the KeyboardEvent, or null to remove the //
+//                     default shortcut for that key.                       //
+//       seekOffset    how many seconds to seek backward/forward            //
+//                     (default 10)                                         //
+//       volumeStep    how much to change the volume for volumeUp and       //
+//                     volumeDown, from 0 to 1 (default 0.1)                //
+//       target        element to listen for key presses on (default is     //
+//                     the whole document)                                  //
+//                                                                          //
+//     Action names:                                                        //
+//                                                                          //
+//       play, pause, playPause, stop, prevTrack, nextTrack,                //
+//       seekBackward, seekForward, toggleMute, volumeUp, volumeDown,       //
+//       cyclePlaybackRate                                                  //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.enableKeyboardShortcuts({                               //
+//       "keyMap": {"ArrowUp": "volumeUp", "ArrowDown": "volumeDown"}       //
+//   });                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enableKeyboardShortcuts(options) {
+    const settings = Object.assign({
+        "seekOffset": 10,
+        "volumeStep": 0.1,
+        "target": document
+    }, options);
+
+    // merge the user key map over the defaults,
+    // dropping any keys that were set to null
+    const keyMap = {};
+    const userKeyMap = Object.assign({}, DEFAULT_KEY_MAP, settings["keyMap"]);
+    for (const key in userKeyMap) {
+        const action = userKeyMap[key];
+        if (null == action) {
+            continue;
+        }
+        if ((typeof action !== "function") &&
+            (! keyboardShortcutActions.hasOwnProperty(action))) {
+            throw new Error("unknown keyboard shortcut action: " + action);
+        }
+        keyMap[key] = action;
+    }
+    settings["keyMap"] = keyMap;
+
+    keyboardShortcutOptions = settings;
+
+    // listen for key presses on the requested target
+    if (keyboardShortcutTarget !== settings["target"]) {
+        if (null != keyboardShortcutTarget) {
+            keyboardShortcutTarget.removeEventListener(
+                "keydown", keyboardShortcutHandler);
+        }
+        keyboardShortcutTarget = settings["target"];
+        keyboardShortcutTarget.addEventListener(
+            "keydown", keyboardShortcutHandler);
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set what happens when a track fails to load or play                      //
+//                                                                          //
+// Whatever the policy, an error event is sent to listeners with the        //
+// details of what went wrong (see on()).                                   //
+//                                                                          //
+// When the browser blocks playback because the user hasn't interacted      //
+// with the page yet ("autoplay-blocked"), the player always pauses, since  //
+// retrying or skipping wouldn't help.                                      //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   policy (required)                                                      //
+//     One of the following:                                                //
+//                                                                          //
+//       "stop"   pause the player (the default). Pressing play tries the   //
+//                track again.                                              //
+//       "retry"  try to play the track again after a delay, a few times,   //
+//                then do what the "then" option says                       //
+//       "skip"   go on to the next track in the play order that hasn't     //
+//                failed                                                    //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       retries        how many times to retry (default 3)                 //
+//       retryDelay     seconds to wait before the first retry, which is    //
+//                      doubled for every retry after that (default 1)      //
+//       then           "stop" or "skip", for when the retries run out      //
+//                      (default "stop")                                    //
+//       stallTimeout   seconds that playback can be stuck waiting for      //
+//                      data, after the browser reports that it stalled,    //
+//                      before it counts as a network error (default 15,    //
+//                      or 0 to wait forever)                               //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.setErrorPolicy("retry", {                               //
+//       "retries": 2,                                                      //
+//       "then": "skip"                                                     //
+//   });                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setErrorPolicy(policy, options) {
+    if (! ERROR_POLICIES.includes(policy)) {
+        throw new Error("invalid error policy: " + policy);
+    }
+
+    const settings = Object.assign({
+        "retries": 3,
+        "retryDelay": 1,
+        "then": "stop",
+        "stallTimeout": 15
+    }, options);
+
+    if (("stop" != settings["then"]) && ("skip" != settings["then"])) {
+        throw new Error("invalid error policy 'then': " + settings["then"]);
+    }
+
+    settings["policy"] = policy;
+    errorPolicy = settings;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable a live spectrum or oscilloscope visualization of the audio        //
+//                                                                          //
+// The audio is routed through a Web Audio AnalyserNode, and drawn into a   //
+// canvas element on every animation frame while playing. Nothing is set    //
+// up until this is called.                                                 //
+//                                                                          //
+// Once audio goes through Web Audio, the browser only lets it be heard if  //
+// it comes from the same origin as the page, or is served with CORS        //
+// headers (in which case, set the crossOrigin option).                     //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   options (required)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       canvas            canvas element to draw into (required)           //
+//       mode              "spectrum" for frequency bars (the default), or  //
+//                         "oscilloscope" for the waveform                  //
+//       bars              number of frequency bars (default 64)            //
+//       color             color of the bars or line (default "#333")       //
+//       backgroundColor   color to fill the canvas with first (default is  //
+//                         transparent)                                     //
+//       lineWidth         width of the oscilloscope line, in CSS pixels    //
+//                         (default 2)                                      //
+//       fftSize           AnalyserNode.fftSize (default 2048)              //
+//       smoothing         AnalyserNode.smoothingTimeConstant, from 0 to 1  //
+//                         (default 0.8)                                    //
+//       crossOrigin       same as calling setCrossOrigin() first           //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   true if the visualizer was enabled, or false if the browser doesn't    //
+//   support Web Audio                                                      //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.enableVisualizer({                                      //
+//       "canvas": document.getElementById("visualizer"),                   //
+//       "mode": "oscilloscope"                                             //
+//   });                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enableVisualizer(options) {
+    const settings = Object.assign({
+        "mode": "spectrum",
+        "bars": 64,
+        "color": "#333",
+        "backgroundColor": null,
+        "lineWidth": 2,
+        "fftSize": 2048,
+        "smoothing": 0.8
+    }, options);
+
+    if (null == settings["canvas"]) {
+        throw new Error("visualizer canvas not found");
+    }
+    if (! VISUALIZER_MODES.includes(settings["mode"])) {
+        throw new Error("invalid visualizer mode: " + settings["mode"]);
+    }
+
+    if (null != settings["crossOrigin"]) {
+        setCrossOrigin(settings["crossOrigin"]);
+    }
+    if (! webAudioSetup()) {
+        return false;
+    }
+
+    const alreadyEnabled = (null != visualizerOptions);
+
+    // clear whatever the previous canvas was showing
+    if (alreadyEnabled) {
+        visualizerStop();
+    }
+
+    visualizerOptions = settings;
+
+    if (null == visualizerAnalyser) {
+        visualizerAnalyser = getAudioContext().createAnalyser();
+        audioGraphOutput.connect(visualizerAnalyser);
+    }
+    visualizerAnalyser.fftSize = settings["fftSize"];
+    visualizerAnalyser.smoothingTimeConstant = settings["smoothing"];
+
+    // only draw while there's something to see
+    if (! alreadyEnabled) {
+        on("play", visualizerStart);
+        on("pause", visualizerStop);
+        on("stop", visualizerStop);
+    }
+
+    if (playing) {
+        visualizerStart();
+    }
+
+    return true;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable a waveform seek bar                                               //
+//                                                                          //
+// Draws the waveform of the current track into a canvas element, with the  //
+// part that has been played in a different color, like SoundCloud does.    //
+// Clicking or dragging on the canvas seeks, and so do the arrow keys when  //
+// it has the keyboard focus.                                               //
+//                                                                          //
+// The waveform isn't calculated from the audio. It comes from "peaks" in   //
+// each playlist object, which is an array of numbers (e.g. the loudest     //
+// sample in each small slice of the file), or from a JSON file that the    //
+// "peaksUrl" entry points to, with either an array of numbers in it, or    //
+// the output of BBC's audiowaveform tool. A track without peaks is drawn   //
+// as a flat line.                                                          //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   options (required)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       canvas            canvas element to draw into (required)           //
+//       color             color of the part that hasn't been played yet    //
+//                         (default "#999")                                 //
+//       progressColor     color of the part that has been played (default  //
+//                         "#333")                                          //
+//       barWidth          width of each bar, in CSS pixels (default 2)     //
+//       barGap            space between bars, in CSS pixels (default 1)    //
+//       seekOffset        how many seconds the arrow keys seek             //
+//                         backward/forward (default 5)                     //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.enableWaveformSeekBar({                                 //
+//       "canvas": document.getElementById("waveform"),                     //
+//       "progressColor": "#f50"                                            //
+//   });                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enableWaveformSeekBar(options) {
+    const settings = Object.assign({
+        "color": "#999",
+        "progressColor": "#333",
+        "barWidth": 2,
+        "barGap": 1,
+        "seekOffset": 5
+    }, options);
+
+    const canvas = settings["canvas"];
+    if (null == canvas) {
+        throw new Error("waveform seek bar canvas not found");
+    }
+
+    const alreadyEnabled = (null != waveformOptions);
+    const previousCanvas = alreadyEnabled ? waveformOptions["canvas"] : null;
+
+    waveformOptions = settings;
+
+    // keep the waveform up to date as things change
+    if (! alreadyEnabled) {
+        on("track-change", waveformTrackChange);
+        on("timeupdate", waveformDraw);
+        on("seek", waveformDraw);
+        listenToAudio("loadedmetadata", waveformDraw);
+        window.addEventListener("resize", waveformDraw);
+    }
+
+    // handle clicks, drags and key presses on the canvas
+    if (previousCanvas !== canvas) {
+        if (null != previousCanvas) {
+            waveformRemoveCanvasListeners(previousCanvas);
+        }
+        waveformAddCanvasListeners(canvas);
+    }
+
+    if (null != playlist) {
+        waveformTrackChange();
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the crossOrigin attribute of the Audio objects                       //
+//                                                                          //
+// Audio that goes through Web Audio (for the visualizer, ReplayGain,       //
+// limiter and equalizer) is silent, unless it comes from the same origin   //
+// as the page, or is served with CORS headers and loaded with crossOrigin  //
+// set. The setting applies from the next track that is loaded, so call     //
+// this before init() for it to apply to the first track too.               //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   value (required)                                                       //
+//     "anonymous", "use-credentials", or null to remove the attribute      //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setCrossOrigin(value) {
+    audioCrossOrigin = value;
+
+    audio.crossOrigin = value;
+    if (null != standbyAudio) {
+        standbyAudio.crossOrigin = value;
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set how ReplayGain is applied                                            //
+//                                                                          //
+// ReplayGain evens out the loudness of tracks that were mastered at        //
+// different levels. The gains come from the "replaygain_track_gain" and    //
+// "replaygain_album_gain" entries of each playlist object, in dB, as       //
+// numbers or as strings like "-6.48 dB" (the way they appear in tags).     //
+//                                                                          //
+// The gain is applied with Web Audio, on top of the volume, so setVolume() //
+// keeps working as usual. Tracks that are made louder may clip; see        //
+// setLimiter().                                                            //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   mode (required)                                                        //
+//     One of the following:                                                //
+//                                                                          //
+//       "off"    don't apply any gain (the default)                        //
+//       "track"  use the track gain, or the album gain if there's no track //
+//                gain                                                      //
+//       "album"  use the album gain, or the track gain if there's no album //
+//                gain, which keeps the differences in loudness between     //
+//                the tracks of an album                                    //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//                                                                          //
+//       preamp        dB added to every gain (default 0)                   //
+//       defaultGain   dB for tracks without any ReplayGain entries         //
+//                     (default 0)                                          //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   true if the mode was set, or false if the browser doesn't support      //
+//   Web Audio                                                              //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.setReplayGain("album", {"preamp": 3});                  //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setReplayGain(mode, options) {
+    if (! REPLAY_GAIN_MODES.includes(mode)) {
+        throw new Error("invalid ReplayGain mode: " + mode);
+    }
+
+    const settings = Object.assign({
+        "preamp": 0,
+        "defaultGain": 0
+    }, options);
+    for (const key of ["preamp", "defaultGain"]) {
+        if (! Number.isFinite(settings[key])) {
+            throw new Error("invalid ReplayGain '" + key + "': " +
+                settings[key]);
+        }
+    }
+    settings["mode"] = mode;
+
+    // there's nothing to set up for turning it off
+    if (("off" == mode) && (null == audioGraphInput)) {
+        replayGainOptions = settings;
+        return true;
+    }
+    if (! webAudioSetup()) {
+        return false;
+    }
+
+    replayGainOptions = settings;
+    replayGainUpdate();
+
+    return true;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Turn the limiter on or off                                               //
+//                                                                          //
+// The limiter keeps the audio from clipping, after ReplayGain and the      //
+// equalizer have made it louder. It's applied with Web Audio.              //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   enabled (required)                                                     //
+//     true to turn the limiter on, or false to turn it off (the default)   //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   true if the limiter was set, or false if the browser doesn't support   //
+//   Web Audio                                                              //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setLimiter(enabled) {
+    if ((enabled == (null != limiterNode)) ||
+        ((! enabled) && (null == audioGraphInput))) {
+        return true;
+    }
+    if (! webAudioSetup()) {
+        return false;
+    }
+
+    if (enabled) {
+        // a fast compressor with a high ratio, just below full scale
+        limiterNode = getAudioContext().createDynamicsCompressor();
+        limiterNode.threshold.value = -1;
+        limiterNode.knee.value = 0;
+        limiterNode.ratio.value = 20;
+        limiterNode.attack.value = 0.003;
+        limiterNode.release.value = 0.25;
+    } else {
+        limiterNode.disconnect();
+        limiterNode = null;
+    }
+
+    webAudioConnectProcessing();
+    return true;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the equalizer                                                        //
+//                                                                          //
+// Each band is a Web Audio BiquadFilterNode. The equalizer comes after     //
+// ReplayGain and before the limiter.                                       //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   bands (required)                                                       //
+//     Either the name of a preset, an array of band objects, or null to    //
+//     turn the equalizer off.                                              //
+//                                                                          //
+//     Presets:                                                             //
+//                                                                          //
+//       flat, bass-boost, treble-boost, loudness, vocal, spoken-word       //
+//                                                                          //
+//     Band objects have the following keys:                                //
+//                                                                          //
+//       frequency   center frequency (or corner frequency for shelves),    //
+//                   in Hz (required)                                       //
+//       gain        boost (positive) or cut (negative), in dB (default 0)  //
+//       q           width of the band, for "peaking" bands (default 1)     //
+//       type        "peaking" (the default), "lowshelf" or "highshelf"     //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   true if the equalizer was set, or false if the browser doesn't support //
+//   Web Audio                                                              //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.setEqualizer("bass-boost");                             //
+//                                                                          //
+//   diyaudioplayer.setEqualizer([                                          //
+//       {"type": "lowshelf", "frequency": 100, "gain": 4},                 //
+//       {"frequency": 3000, "gain": -2, "q": 2}                            //
+//   ]);                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setEqualizer(bands) {
+    // look up presets
+    if (typeof bands === "string") {
+        if (! EQUALIZER_PRESETS.hasOwnProperty(bands)) {
+            throw new Error("unknown equalizer preset: " + bands);
+        }
+        const gains = EQUALIZER_PRESETS[bands];
+        bands = EQUALIZER_PRESET_BANDS.map((band, i) => {
+            return Object.assign({"gain": gains[i]}, band);
+        });
+    }
+
+    // check the bands, and fill in the defaults
+    let settings = null;
+    if (null != bands) {
+        if (! Array.isArray(bands)) {
+            throw new Error("equalizer bands must be an array");
+        }
+        settings = bands.map((band, i) => {
+            const setting = Object.assign({
+                "gain": 0,
+                "q": 1,
+                "type": "peaking"
+            }, band);
+            if ((! Number.isFinite(setting["frequency"])) ||
+                (setting["frequency"] <= 0) ||
+                (! Number.isFinite(setting["gain"])) ||
+                (! Number.isFinite(setting["q"])) ||
+                (! EQUALIZER_FILTER_TYPES.includes(setting["type"]))) {
+                throw new Error("invalid equalizer band at index " + i);
+            }
+            return setting;
+        });
+    }
+
+    // there's nothing to set up for turning it off
+    if ((null == settings) && (null == audioGraphInput)) {
+        equalizerBands = null;
+        return true;
+    }
+    if (! webAudioSetup()) {
+        return false;
+    }
+
+    // take the old filters out of the graph, before they're replaced
+    for (let i=0; i < equalizerFilters.length; i++) {
+        equalizerFilters[i].disconnect();
+    }
+
+    equalizerBands = settings;
+    equalizerFilters = (settings || []).map((setting) => {
+        const filter = getAudioContext().createBiquadFilter();
+        filter.type = setting["type"];
+        filter.frequency.value = setting["frequency"];
+        filter.gain.value = setting["gain"];
+        filter.Q.value = setting["q"];
+        return filter;
+    });
+
+    webAudioConnectProcessing();
+    return true;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Get the equalizer bands                                                  //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   A copy of the band objects (with all of their keys filled in) set with //
+//   setEqualizer(), or null if the equalizer is off                        //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getEqualizer() {
+    if (null == equalizerBands) {
+        return null;
+    }
+    return equalizerBands.map((band) => Object.assign({}, band));
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Formats a given number of seconds as a human-readable display time       //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   seconds (required)                                                     //
+//     An integer or floating point number of seconds,                      //
+//     either positive or negative                                          //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   String representing the given number of seconds in hours, minutes,     //
+//   and seconds, suitable for display in elapsed/remaining/duration time   //
+//   displays in the user interface.                                        //
+//                                                                          //
+//   If invalid input is provided, then the "no time" string is returned.   //
+//   This can be customized using the setNoTimeDisplay() function.          //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function secondsToDisplayTime(seconds) {
+    if (Number.isNaN(seconds)) {
+        return noTime;
+    }
+
+    const intTotalSeconds = Math.round(Math.abs(seconds));
+    if (Number.isNaN(intTotalSeconds)) {
+        return noTime;
+    }
+
+    const intHours = Math.floor(intTotalSeconds / 3600);
+    if (Number.isNaN(intHours)) {
+        return noTime;
+    }
+
+    const intMinutes = Math.floor(intTotalSeconds / 60);
+    if (Number.isNaN(intMinutes)) {
+        return noTime;
+    }
+
+    const intSeconds = Math.round(intTotalSeconds % 60);
+    if (Number.isNaN(intSeconds)) {
+        return noTime;
+    }
+
+    const maybeNegative = (seconds < 0) ? "-" : "";
+
+    let strMinutes = "" + intMinutes;
+    if (displayTimeZeroPad) {
+        if (intMinutes < 10) {
+            strMinutes = "0" + intMinutes;
+        }
+    }
+
+    let strSeconds = "" + intSeconds;
+    if (intSeconds < 10) {
+        strSeconds = "0" + intSeconds;
+    }
+
+    if (intHours > 0) {
+        let strHours = "" + intHours;
+        let modMinutes = (intMinutes % 60);
+        strMinutes = "" + modMinutes;
+        if (modMinutes < 10) {
+            strMinutes = "0" + modMinutes;
+        }
+
+        return maybeNegative + strHours + ":" + strMinutes + ":" + strSeconds;
+    }
+
+    return maybeNegative + strMinutes + ":" + strSeconds;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Set the display string that represents no time                           //
+//                                                                          //
+// The default is 0:00                                                      //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function setNoTimeDisplay(value) {
+    noTime = value;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Enable the zero-padding of minutes in time displays                      //
+//                                                                          //
+// The default is disabled                                                  //
+//                                                                          //
+// Examples                                                                 //
+//   zero-padding disabled: 0:42                                            //
+//   zero-padding enabled:  00:42                                           //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function enableDisplayTimeZeroPad() {
+    displayTimeZeroPad = true;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Returns the HTMLAudioElement used for audio playback, which was          //
+// created during init()                                                    //
+//                                                                          //
+// This is generally only required if you want to make advanced             //
+// UI customizations, and add custom event listeners, instead of using the  //
+// default interface elements.                                              //
+//                                                                          //
+// When gapless playback or crossfade is enabled, the player switches       //
+// between two HTMLAudioElement objects from one track to the next, so      //
+// the returned object may be different after a track change.               //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getAudio() {
+    return audio;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Register a user-defined play handler function                            //
+//                                                                          //
+// This function will be called whenever playback is started                //
+//                                                                          //
+// The user-defined function must not accept any arguments                  //
+//                                                                          //
+// Registering another function replaces the previous one. To register      //
+// several functions for the same event, use on() instead.                  //
+//                                                                          //
+// No return value is required, or used                                     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function registerPlayHandler(playHandler) {
+    udfPlayHandler = replaceUdfListener("play", udfPlayHandler,
+        (null == playHandler) ? null : () => playHandler());
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Register a user-defined pause handler function                           //
+//                                                                          //
+// This function will be called whenever playback is paused                 //
+// (but not stopped)                                                        //
+//                                                                          //
+// The user-defined function must not accept any arguments                  //
+//                                                                          //
+// Registering another function replaces the previous one. To register      //
+// several functions for the same event, use on() instead.                  //
+//                                                                          //
+// No return value is required, or used                                     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function registerPauseHandler(pauseHandler) {
+    udfPauseHandler = replaceUdfListener("pause", udfPauseHandler,
+        (null == pauseHandler) ? null : () => pauseHandler());
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Register a user-defined stop handler function                            //
+//                                                                          //
+// This function will be called whenever playback is stopped                //
+// (but not paused)                                                         //
+//                                                                          //
+// The user-defined function must not accept any arguments                  //
+//                                                                          //
+// Registering another function replaces the previous one. To register      //
+// several functions for the same event, use on() instead.                  //
+//                                                                          //
+// No return value is required, or used                                     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function registerStopHandler(stopHandler) {
+    udfStopHandler = replaceUdfListener("stop", udfStopHandler,
+        (null == stopHandler) ? null : () => stopHandler());
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Register a user-defined track change handler function                    //
+//                                                                          //
+// This function will be called whenever the player changes to a new track  //
+//                                                                          //
+// The user-defined function must accept a single argument, which           //
+// corresponds to the new playlist index when the track is changed          //
+//                                                                          //
+// Registering another function replaces the previous one. To register      //
+// several functions for the same event, use on() instead.                  //
+//                                                                          //
+// No return value is required, or used                                     //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function registerTrackChangeHandler(trackChangeHandler) {
+    udfTrackChangeHandler = replaceUdfListener(
+        "track-change",
+        udfTrackChangeHandler,
+        (null == trackChangeHandler) ?
+            null :
+            (event) => trackChangeHandler(event.trackIndex)
+    );
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Add an event listener function                                           //
+//                                                                          //
+// Any number of listeners can be added for the same event, and they will   //
+// be called in the order they were added.                                  //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   eventName (required)                                                   //
+//     One of the following event names:                                    //
+//                                                                          //
+//       play             playback started                                  //
+//       pause            playback paused                                   //
+//       stop             playback stopped                                  //
+//       track-change     the player changed to a new track                 //
+//       timeupdate       the playback position changed while playing       //
+//       seek             seek() was called                                 //
+//       ended            the current track played all the way through      //
+//       playlist-loaded  a new playlist was loaded                         //
+//       error            a track failed to load or play                    //
+//       buffering        playback is waiting for more data to load         //
+//       end-of-playlist  the last track ended, and the player went back    //
+//                        to the first track                                //
+//       repeat-mode      the repeat mode was changed                       //
+//       shuffle          shuffle was enabled or disabled                   //
+//       playlist-changed the playlist was edited with addTrack(),          //
+//                        removeTrack(), moveTrack(), playNext() or         //
+//                        clearQueue()                                      //
+//       volume-change    the volume was changed, or the audio was muted    //
+//                        or unmuted                                        //
+//       rate-change      the playback rate was changed                     //
+//       chapter-change   playback moved into a different chapter of the    //
+//                        current track                                     //
+//       sleep-timer      the sleep timer was set, canceled, or paused      //
+//                        playback                                          //
+//       state-change     the player state changed (see getState())         //
+//                                                                          //
+//   listener (required)                                                    //
+//     Function that accepts a single event object argument, with the       //
+//     following keys:                                                      //
+//                                                                          //
+//       type             the event name                                    //
+//       player           the player instance that sent the event           //
+//       trackIndex       the current playlist index                        //
+//       track            the current playlist object                       //
+//       currentTime      the current playback position, in seconds         //
+//       previousState    "playing" or "paused", before the event           //
+//                                                                          //
+//     Some events include extra keys:                                      //
+//                                                                          //
+//       track-change     previousTrackIndex (null for a new playlist)      //
+//       seek             seekTime                                          //
+//       playlist-loaded  playlist                                          //
+//       error            error, url, errorType ("autoplay-blocked",        //
+//                        "network", "decode", "unsupported" or             //
+//                        "unknown"), mediaErrorCode (MediaError code, or   //
+//                        null), action ("stop", "retry", "skip", or null   //
+//                        if the player wasn't playing)                     //
+//       repeat-mode      repeatMode, previousRepeatMode                    //
+//       shuffle          shuffle                                           //
+//       playlist-changed action ("add", "remove", "move" or "clear"),      //
+//                        index (add/remove), fromIndex and toIndex         //
+//                        (move), playlist                                  //
+//       volume-change    volume, muted                                     //
+//       rate-change      playbackRate                                      //
+//       chapter-change   chapterIndex, chapter, previousChapterIndex       //
+//                        (null when the track changed)                     //
+//       sleep-timer      action ("set", "cancel" or "expire"), mode        //
+//                        ("minutes", "endOfTrack" or "endOfChapter"),      //
+//                        remaining (see getSleepTimerRemaining())          //
+//       state-change     state, and previousState (which is the previous   //
+//                        state from getState() for this event)             //
+//                                                                          //
+//     Each listener is executed inside of a try/catch block, and any       //
+//     errors are logged to the console.                                    //
+//                                                                          //
+//     No return value is required, or used                                 //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   diyaudioplayer.on("track-change", (event) => {                         //
+//       console.log("now playing " + event.track["url"]);                  //
+//   });                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function on(eventName, listener) {
+    validateEventName(eventName);
+
+    if (! (eventName in eventListeners)) {
+        eventListeners[eventName] = [];
+    }
+    eventListeners[eventName].push(listener);
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Remove an event listener function                                        //
+//                                                                          //
+// The arguments must be the same event name and function that were         //
+// passed to on() or once(). If the listener isn't registered for the       //
+// event, nothing happens.                                                  //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function off(eventName, listener) {
+    validateEventName(eventName);
+
+    const listeners = eventListeners[eventName];
+    if (undefined === listeners) {
+        return;
+    }
+
+    for (let i=0; i < listeners.length; i++) {
+        if ((listeners[i] === listener) ||
+            (listeners[i].onceListener === listener)) {
+            trackChangeIndexes.delete(listeners[i]);
+            listeners.splice(i, 1);
+            return;
+        }
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Add an event listener function that is only called once                  //
+//                                                                          //
+// Works exactly like on(), except the listener is removed automatically    //
+// the first time it is called.                                             //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function once(eventName, listener) {
+    const onceWrapper = (event) => {
+        off(eventName, onceWrapper);
+        listener(event);
+    };
+    onceWrapper.onceListener = listener;
+
+    on(eventName, onceWrapper);
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// PRIVATE FUNCTIONS                                                        //
+//////////////////////////////////////////////////////////////////////////////
+
+// returns a simple description of the current playback state,
+// which is passed along to event listeners
+function getPlayState() {
+    return playing ? "playing" : "paused";
+}
+
+// change the player state (see getState()), and let listeners know
+function setPlayerState(state) {
+    if (state == playerState) {
+        return;
+    }
+
+    const previousState = playerState;
+    playerState = state;
+
+    uiUpdateStateClasses();
+
+    emitEvent("state-change", {
+        "state": state,
+        "previousState": previousState
+    });
+}
+
+// send an event to every listener registered for it
+//
+// each listener receives a single event object, with details about the
+// current track and playback position, plus any extra event-specific
+// details that were passed in. each listener is executed inside of a try
+// block, and any errors are logged to the console.
+function emitEvent(eventName, details) {
+    const listeners = eventListeners[eventName];
+    if ((undefined === listeners) || (0 == listeners.length)) {
+        return;
+    }
+
+    const event = createEvent(eventName, details);
+
+    // iterate over a copy, since once() listeners remove themselves
+    const listenersCopy = listeners.slice();
+    for (let i=0; i < listenersCopy.length; i++) {
+        callListener(listenersCopy[i], event);
+    }
+}
+
+// create the event object for an event, with details about the current
+// track and playback position, plus any extra event-specific details
+function createEvent(eventName, details) {
+    const event = {
+        "type": eventName,
+        "player": instance,
+        "trackIndex": playlistIndex,
+        "track": (null != playlist) ? playlist[playlistIndex] : null,
+        "currentTime":
+            (null != deferredInitialSeekTime) ?
+            deferredInitialSeekTime :
+            audio.currentTime,
+        "previousState": getPlayState()
+    };
+    return Object.assign(event, details);
+}
+
+// call an event listener, and log any errors to the console
+function callListener(listener, event) {
+    try {
+        listener(event);
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+// send a track change event to each listener, but only if the track has
+// changed since the last time we sent one to that listener
+function emitTrackChange(trackIndex) {
+    // the built-in track list and the track field elements always show
+    // the current track
+    uiUpdatePlaylistItems();
+    uiUpdateTrackFields();
+
+    const listeners = eventListeners["track-change"];
+    if ((undefined === listeners) || (0 == listeners.length)) {
+        return;
+    }
+
+    // iterate over a copy, since once() listeners remove themselves
+    const listenersCopy = listeners.slice();
+    for (let i=0; i < listenersCopy.length; i++) {
+        const listener = listenersCopy[i];
+        const previousTrackIndex = trackChangeIndexes.has(listener) ?
+            trackChangeIndexes.get(listener) :
+            null;
+        if (trackIndex == previousTrackIndex) {
+            continue;
+        }
+
+        // remember which playlist index we sent for next time
+        trackChangeIndexes.set(listener, trackIndex);
+
+        callListener(listener, createEvent("track-change", {
+            "trackIndex": trackIndex,
+            "track": playlist[trackIndex],
+            "previousTrackIndex": previousTrackIndex
+        }));
+    }
+}
+
+// replace the listener registered by one of the single-slot
+// register*Handler() functions with a new one (or with nothing, if the new
+// listener is null), and return the new listener
+function replaceUdfListener(eventName, oldListener, newListener) {
+    if (null != oldListener) {
+        off(eventName, oldListener);
+    }
+
+    if (null != newListener) {
+        on(eventName, newListener);
+    }
+
+    return newListener;
+}
+
+// throw an error if the given event name is not one we know about
+function validateEventName(eventName) {
+    if (! EVENT_NAMES.includes(eventName)) {
+        throw new Error("unknown event '" + eventName + "'");
+    }
+}
+
+// create a new Audio object, with every listener that has been added
+// with listenToAudio() so far
+function createAudio() {
+    const newAudio = new Audio();
+
+    for (let i=0; i < audioEventListeners.length; i++) {
+        attachAudioEventListener(
+            newAudio,
+            audioEventListeners[i].type,
+            audioEventListeners[i].listener
+        );
+    }
+
+    if (null != audioCrossOrigin) {
+        newAudio.crossOrigin = audioCrossOrigin;
+    }
+
+    // if the other Audio object goes through Web Audio, this one has to too
+    if (null != audioGraphInput) {
+        webAudioConnect(newAudio);
+    }
+
+    return newAudio;
+}
+
+// add an event listener to the Audio objects
+//
+// the listener is only called for events from the Audio object that is
+// currently playing, and not for the standby Audio object that is used for
+// gapless playback and crossfade
+function listenToAudio(type, listener) {
+    audioEventListeners.push({"type": type, "listener": listener});
+
+    attachAudioEventListener(audio, type, listener);
+    if (null != standbyAudio) {
+        attachAudioEventListener(standbyAudio, type, listener);
+    }
+}
+
+// add an event listener to a single Audio object, which ignores events
+// while the Audio object is not the current one
+function attachAudioEventListener(audioObject, type, listener) {
+    audioObject.addEventListener(type, (event) => {
+        if (audioObject === audio) {
+            listener(event);
+        }
+    });
+}
+
+// add event listeners to the Audio object that are not related to any
+// basic UI elements, and just forward events along to our own listeners
+function addAudioEventListeners() {
+    // playback started or paused, which may have happened outside of our
+    // API (e.g. from the media controls on the lock screen)
+    listenToAudio("play", updatePlayState);
+    listenToAudio("pause", updatePlayState);
+
+    // the track ended, so move on to the next track right away
+    listenToAudio("ended", updatePlayState);
+
+    // playback position updates
+    listenToAudio("timeupdate", () => {
+        emitEvent("timeupdate");
+
+        // see if playback moved into a different chapter
+        updateCurrentChapter();
+
+        // update the time display, and get ready for the end of the track
+        updatePlayState();
+    });
+
+    // playback stopped because the next part of the track isn't loaded yet
+    listenToAudio("waiting", () => {
+        if (playing) {
+            setPlayerState("buffering");
+        }
+        emitEvent("buffering");
+    });
+
+    // enough of the track has loaded to play it
+    listenToAudio("canplay", () => {
+        if (playing && (! audio.paused)) {
+            setPlayerState("playing");
+        }
+    });
+
+    // the track failed to load or decode
+    listenToAudio("error", () => {
+        const mediaError = audio.error;
+
+        // aborted loads happen when a different track is loaded,
+        // which isn't a problem
+        if ((null == mediaError) || (1 == mediaError.code)) {
+            return;
+        }
+
+        handleTrackError(
+            MEDIA_ERROR_TYPES[mediaError.code] || "unknown",
+            mediaError,
+            mediaError.code);
+    });
+
+    // the browser hasn't been getting any data for a while
+    listenToAudio("stalled", () => {
+        if (playing && (audio.readyState < HAVE_FUTURE_DATA)) {
+            setPlayerState("buffering");
+        }
+        startStallTimer();
+    });
+
+    // the track is playing, so any earlier trouble is over
+    listenToAudio("playing", () => {
+        if (playing) {
+            setPlayerState("playing");
+        }
+        handleTrackPlaying();
+    });
+
+    // a new track was loaded, which may have reset the playback rate in
+    // browsers that don't follow the default playback rate
+    listenToAudio("loadedmetadata", () => {
+        if (audio.playbackRate != playbackRate) {
+            applyPlaybackRate(audio);
+        }
+
+        // if the track only plays part of the file, and the browser didn't
+        // let us seek there before the file loaded, try again now
+        if (playing) {
+            moveToTrackStart(audio);
+        }
+
+        // start at the right chapter of the new track
+        updateCurrentChapter();
+
+        // update the time display for the new track
+        updatePlayState();
+    });
+
+    // the play state timer only runs while the page is visible
+    document.addEventListener("visibilitychange", () => {
+        updatePlayStateTimer();
+    });
+}
+
+// clear a timeout or interval timer (if it is set),
+// and return null so the caller can forget about it
+function clearTimer(timer) {
+    if (null != timer) {
+        clearTimeout(timer);
+        clearInterval(timer);
+    }
+    return null;
+}
+
+// set the volume of an Audio object, as a level from 0 to 1
+// relative to the player volume (so 1 means the volume from setVolume(),
+// or less during a fade in or out)
+function setAudioVolume(audioObject, level) {
+    audioObject.volume = Math.min(1, Math.max(0, level)) * volume * fadeLevel;
+    audioObject.muted = muted;
+}
+
+// fade the volume of the current Audio object to the given level from 0 to
+// 1, over the given number of seconds, then call done (if given)
+//
+// starting a new fade replaces the one in progress, without calling its done
+function fadeTo(targetLevel, seconds, done) {
+    fadeTimer = clearTimer(fadeTimer);
+
+    const startLevel = fadeLevel;
+    const startTime = performance.now();
+    const step = () => {
+        const progress = (seconds > 0) ?
+            Math.min(1, (performance.now() - startTime) / (seconds * 1000)) :
+            1;
+
+        fadeLevel = startLevel + ((targetLevel - startLevel) * progress);
+
+        // during a crossfade, the next step of the crossfade takes care of it
+        if (null == fadingAudio) {
+            setAudioVolume(audio, 1);
+        }
+
+        if (progress >= 1) {
+            fadeTimer = clearTimer(fadeTimer);
+            if (null != done) {
+                done();
+            }
+        }
+    };
+
+    // take the first step right away, so the volume doesn't jump
+    step();
+    if (seconds > 0) {
+        fadeTimer = setInterval(step, CROSSFADE_STEP_MS);
+    }
+}
+
+// pause the current Audio object, fading it out first if setPlaybackFade()
+// was used, then call afterPause (if given)
+function pauseAudio(afterPause) {
+    const pausingAudio = audio;
+    const finish = () => {
+        pausingAudio.pause();
+        if (null != afterPause) {
+            afterPause();
+        }
+    };
+
+    if ((playbackFadeDuration > 0) && (! pausingAudio.paused)) {
+        // fade out from wherever the volume is now
+        fadeTo(0, playbackFadeDuration * fadeLevel, finish);
+    } else {
+        fadeTimer = clearTimer(fadeTimer);
+        finish();
+    }
+}
+
+// apply the current playback rate and pitch settings to an Audio object
+//
+// the default playback rate is set too, since browsers reset the playback
+// rate to the default playback rate every time a new track is loaded
+function applyPlaybackRate(audioObject) {
+    audioObject.defaultPlaybackRate = playbackRate;
+    audioObject.playbackRate = playbackRate;
+
+    audioObject.preservesPitch = preservesPitch;
+    audioObject.webkitPreservesPitch = preservesPitch;
+    audioObject.mozPreservesPitch = preservesPitch;
+}
+
+// apply the current volume and mute settings to the Audio objects,
+// update the basic UI volume controls, and let listeners know
+function applyVolume() {
+    // during a crossfade, the next step of the fade takes care of it
+    if (null == fadingAudio) {
+        setAudioVolume(audio, 1);
+    }
+    if (null != standbyAudio) {
+        standbyAudio.muted = muted;
+    }
+
+    // update the volume slider and mute button
+    uiUpdateVolumeControls();
+
+    // send event to listeners
+    emitEvent("volume-change", {"volume": volume, "muted": muted});
+}
+
+// figure out which track a gapless or crossfade transition would go to
+// at the end of the current track
+//
+// returns an object with the playlist index and play order position of the
+// next track, or null if there shouldn't be a gapless or crossfade
+// transition at the end of the current track
+function getTrackTransitionTarget() {
+    if ((! gapless) && (0 == crossfadeDuration)) {
+        return null;
+    }
+
+    // the sleep timer stops playback at the end of the track instead
+    if (sleepTimerEndsWithTrack()) {
+        return null;
+    }
+
+    let position = null;
+    if ("one" == repeatMode) {
+        position = playOrderPosition;
+    } else if (playOrderPosition < (playOrder.length - 1)) {
+        position = playOrderPosition + 1;
+    } else if (("all" == repeatMode) && (! shuffle)) {
+        position = 0;
+    } else {
+        // end of the playlist, or the shuffled order is about to start over
+        // with an order that hasn't been chosen yet
+        return null;
+    }
+
+    const index = playOrder[position];
+
+    // either track can opt out of gapless playback and crossfade
+    if ((false === playlist[playlistIndex]["gapless"]) ||
+        (false === playlist[index]["gapless"])) {
+        return null;
+    }
+
+    return {"index": index, "position": position};
+}
+
+// is the standby Audio object loaded with the given transition target,
+// and ready to start playing right away?
+function isStandbyAudioReady(target) {
+    return (null != standbyAudio) &&
+        (target.index === standbyPlaylistIndex) &&
+        (playlist[target.index] === standbyTrack) &&
+        (standbyAudio.readyState >= HAVE_FUTURE_DATA);
+}
+
+// load the given transition target into the standby Audio object,
+// unless it's already there
+function prepareStandbyAudio(target) {
+    const track = playlist[target.index];
+    if ((target.index === standbyPlaylistIndex) && (track === standbyTrack)) {
+        return;
+    }
+
+    if (null == standbyAudio) {
+        standbyAudio = createAudio();
+        setAudioVolume(standbyAudio, 1);
+        applyPlaybackRate(standbyAudio);
+    }
+
+    standbyAudio.preload = "auto";
+    standbyAudio.src = getTrackUrl(track);
+    standbyPlaylistIndex = target.index;
+    standbyTrack = track;
+    replayGainUpdate();
+
+    // start at the beginning of the part of the file that the track plays
+    if (Number.isFinite(track["start"])) {
+        standbyAudio.currentTime = track["start"];
+    }
+}
+
+// check whether it's time to get ready for, or start, a gapless or
+// crossfade transition to the next track
+//
+// called frequently while a track is playing
+function updateTrackTransition() {
+    // a transition is already on its way
+    if ((null != transitionTimer) || (null != fadingAudio)) {
+        return;
+    }
+
+    // the end of the track won't be reached while looping
+    if (null != getLoopRegion()) {
+        return;
+    }
+
+    const target = getTrackTransitionTarget();
+    if (null == target) {
+        return;
+    }
+
+    // seconds of real time left in the current track
+    const remaining =
+        (getTrackRange()["end"] - audio.currentTime) /
+        (audio.playbackRate || 1);
+    if (! (remaining >= 0)) {
+        return;
+    }
+
+    // load the next track ahead of time
+    if (remaining <= (TRANSITION_PRELOAD_SECONDS + crossfadeDuration)) {
+        prepareStandbyAudio(target);
+    }
+
+    // if the next track isn't ready in time, it will just be loaded
+    // normally after the current track ends
+    if (! isStandbyAudioReady(target)) {
+        return;
+    }
+
+    if (crossfadeDuration > 0) {
+        // start the crossfade, with however much time is left
+        if (remaining <= crossfadeDuration) {
+            emitEvent("ended");
+            switchToStandbyAudio(target, remaining);
+        }
+    } else if (remaining <= TRANSITION_SCHEDULE_SECONDS) {
+        // start the next track right when the current one ends
+        transitionTimer = setTimeout(() => {
+            transitionTimer = null;
+            if (playing && isStandbyAudioReady(target)) {
+                emitEvent("ended");
+                switchToStandbyAudio(target, 0);
+            }
+        }, remaining * 1000);
+    }
+}
+
+// make the standby Audio object (which must already be loaded with the
+// given transition target) the current one, and start playing it
+//
+// if fadeSeconds is more than 0, the old track keeps playing and fades out
+// while the new track fades in. otherwise the old track stops right away.
+function switchToStandbyAudio(target, fadeSeconds) {
+    cancelTrackTransition();
+
+    // swap the Audio objects
+    const previousAudio = audio;
+    audio = standbyAudio;
+    standbyAudio = previousAudio;
+    standbyPlaylistIndex = null;
+    standbyTrack = null;
+
+    // the new track is now the current track
+    playOrderPosition = target.position;
+    playlistIndex = target.index;
+
+    // clear deferred variables
+    deferredAudioSrc = null;
+    deferredInitialSeekTime = null;
+
+    if (fadeSeconds > 0) {
+        startCrossfade(previousAudio, fadeSeconds);
+    } else {
+        previousAudio.pause();
+        setAudioVolume(audio, 1);
+    }
+
+    // reset playback position
+    uiSetPlaybackPosition(0);
+
+    // update the track skip buttons
+    uiUpdateTrackSkipButtons();
+
+    // send event to listeners
+    emitTrackChange(playlistIndex);
+
+    // start the new track
+    play();
+}
+
+// fade the given Audio object out, and the current Audio object in,
+// over the given number of seconds
+function startCrossfade(outgoingAudio, fadeSeconds) {
+    fadingAudio = outgoingAudio;
+    setAudioVolume(audio, 0);
+
+    const startTime = performance.now();
+    crossfadeTimer = setInterval(() => {
+        const progress = Math.min(
+            1, (performance.now() - startTime) / (fadeSeconds * 1000));
+
+        setAudioVolume(audio, progress);
+        setAudioVolume(fadingAudio, 1 - progress);
+
+        if (progress >= 1) {
+            finishCrossfade();
+        }
+    }, CROSSFADE_STEP_MS);
+}
+
+// stop the Audio object that was fading out, and bring the current
+// Audio object up to full volume
+function finishCrossfade() {
+    crossfadeTimer = clearTimer(crossfadeTimer);
+
+    if (null != fadingAudio) {
+        fadingAudio.pause();
+        setAudioVolume(fadingAudio, 1);
+        fadingAudio = null;
+    }
+
+    setAudioVolume(audio, 1);
+}
+
+// cancel a scheduled gapless transition (or loop/trimmed end boundary),
+// and finish any crossfade that is in progress right away
+function cancelTrackTransition() {
+    transitionTimer = clearTimer(transitionTimer);
+    boundaryTimer = clearTimer(boundaryTimer);
+
+    if ((null != crossfadeTimer) || (null != fadingAudio)) {
+        finishCrossfade();
+    }
+}
+
+// throw an error if a playlist entry is not usable
+function validatePlaylistEntry(entry, index) {
+    if ((null == entry) || (typeof entry !== "object") ||
+        (! (("url" in entry) || ("sources" in entry)))) {
+        throw new Error(
+            "playlist missing 'url' or 'sources' at playlist index " + index);
+    }
+
+    // every source needs a URL
+    if ("sources" in entry) {
+        const sources = entry["sources"];
+        if ((! Array.isArray(sources)) || (0 == sources.length)) {
+            throw new Error("playlist 'sources' must be a non-empty array " +
+                "at playlist index " + index);
+        }
+        for (let i=0; i < sources.length; i++) {
+            if ((null == sources[i]) ||
+                (typeof sources[i]["url"] !== "string")) {
+                throw new Error("playlist source missing 'url' at playlist " +
+                    "index " + index + ", source index " + i);
+            }
+        }
+    }
+
+    // the part of the file to play has to make sense
+    for (const key of ["start", "end"]) {
+        if ((null != entry[key]) &&
+            ((! Number.isFinite(entry[key])) || (entry[key] < 0))) {
+            throw new Error(
+                "invalid '" + key + "' at playlist index " + index);
+        }
+    }
+    if (Number.isFinite(entry["start"]) && Number.isFinite(entry["end"]) &&
+        (entry["end"] <= entry["start"])) {
+        throw new Error(
+            "'end' must be after 'start' at playlist index " + index);
+    }
+
+    // chapters have to be in order, for chapter navigation to make sense
+    if (null != entry["chapters"]) {
+        const chapters = entry["chapters"];
+        if (! Array.isArray(chapters)) {
+            throw new Error(
+                "playlist 'chapters' must be an array at playlist index " +
+                index);
+        }
+        for (let i=0; i < chapters.length; i++) {
+            const start = (null != chapters[i]) ? chapters[i]["start"] : null;
+            if ((! Number.isFinite(start)) || (start < 0) ||
+                ((i > 0) && (start < chapters[i - 1]["start"]))) {
+                throw new Error("invalid chapter start time at playlist " +
+                    "index " + index + ", chapter index " + i);
+            }
+        }
+    }
+}
+
+// get the {"url", "type"} sources of a playlist object, in order of
+// preference (a playlist object with just a "url" has one source)
+function getTrackSources(track) {
+    if (Array.isArray(track["sources"])) {
+        return track["sources"];
+    }
+
+    return [{"url": track["url"], "type": null}];
+}
+
+// find the first source of a playlist object, starting at the given index,
+// that the browser might be able to play, or return -1 if there isn't one
+function findPlayableSource(track, firstIndex) {
+    const sources = getTrackSources(track);
+
+    for (let i=firstIndex; i < sources.length; i++) {
+        const type = sources[i]["type"];
+
+        // without a type, the only way to find out is to try it
+        if ((null == type) ||
+            ("" == type) ||
+            ("" != audio.canPlayType(type))) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+// get the index of the source that was picked for a playlist object,
+// picking one now if necessary
+function getTrackSourceIndex(track) {
+    let index = trackSourceIndexes.get(track);
+
+    // (the sources may have been changed since the last pick)
+    if ((undefined === index) || (index >= getTrackSources(track).length)) {
+        index = findPlayableSource(track, 0);
+
+        // if the browser doesn't think it can play any of them,
+        // let it try the first one anyway, so there's an error to report
+        if (index < 0) {
+            index = 0;
+        }
+
+        trackSourceIndexes.set(track, index);
+    }
+
+    return index;
+}
+
+// get the URL to load for a playlist object
+function getTrackUrl(track) {
+    return getTrackSources(track)[getTrackSourceIndex(track)]["url"];
+}
+
+// throw an error if there is no playlist loaded yet
+function requirePlaylist() {
+    if (null == playlist) {
+        throw new Error("playlist not found");
+    }
+}
+
+// throw an error if the given index is not an existing playlist index
+function validatePlaylistIndex(index) {
+    if ((! Number.isInteger(index)) ||
+        (index < 0) ||
+        (index >= playlist.length)) {
+        throw new Error("playlist index out of range: " + index);
+    }
+}
+
+// throw an error if the given index is not a valid place to insert a track
+// (which includes the position right after the end of the playlist)
+function validatePlaylistInsertIndex(index) {
+    if ((! Number.isInteger(index)) ||
+        (index < 0) ||
+        (index > playlist.length)) {
+        throw new Error("playlist index out of range: " + index);
+    }
+}
+
+// insert a track into the playlist at the given index, and into the
+// shuffled play order at the given position (if shuffle is enabled)
+function insertTrack(track, index, orderPosition) {
+    playlist.splice(index, 0, track);
+
+    remapPlaylistIndexes((i) => (i >= index) ? (i + 1) : i);
+
+    // the new track goes into the shuffled order at the requested position
+    // (without shuffle, remapPlaylistIndexes() already rebuilt the order)
+    if (shuffle) {
+        playOrder.splice(orderPosition, 0, index);
+    }
+
+    uiUpdateTrackSkipButtons();
+}
+
+// after the playlist has been edited, update every variable that holds a
+// playlist index to match
+//
+// mapIndex accepts a playlist index from before the edit, and returns the
+// playlist index of the same track after the edit, or -1 if the track was
+// removed. if the current track was removed, the next track in the play
+// order becomes the current track (wrapping around to the beginning).
+function remapPlaylistIndexes(mapIndex) {
+    // remap the play order, dropping removed tracks
+    const newPlayOrder = [];
+    let newPlayOrderPosition = playOrderPosition;
+    for (let position=0; position < playOrder.length; position++) {
+        const newIndex = mapIndex(playOrder[position]);
+        if (newIndex < 0) {
+            if (position < playOrderPosition) {
+                newPlayOrderPosition--;
+            }
+        } else {
+            newPlayOrder.push(newIndex);
+        }
+    }
+    if (newPlayOrderPosition >= newPlayOrder.length) {
+        newPlayOrderPosition = 0;
+    }
+
+    playlistIndex = newPlayOrder[newPlayOrderPosition];
+
+    if (shuffle) {
+        playOrder = newPlayOrder;
+        playOrderPosition = newPlayOrderPosition;
+    } else {
+        // without shuffle, the play order always follows the playlist
+        playOrder = buildPlayOrder(null, null);
+        playOrderPosition = playlistIndex;
+    }
+
+    // keep the last track change events in sync, so that the same track
+    // doesn't get announced again just because its index changed
+    for (const [listener, previousTrackIndex] of trackChangeIndexes) {
+        if (null != previousTrackIndex) {
+            const newIndex = mapIndex(previousTrackIndex);
+            trackChangeIndexes.set(listener, (newIndex < 0) ? null : newIndex);
+        }
+    }
+}
+
+// load the track that took the place of the current track after it was
+// removed from the playlist, and keep playing if we were playing
+function loadReplacementTrack() {
+    // finish any track transition in progress
+    cancelTrackTransition();
+
+    // clear deferred variables
+    deferredAudioSrc = null;
+    deferredInitialSeekTime = null;
+
+    // load the new track in the audio player
+    audio.src = getTrackUrl(playlist[playlistIndex]);
+
+    // reset playback position
+    uiSetPlaybackPosition(0);
+
+    // update elapsed/remaining time counter HTML display elements
+    uiUpdateStatus();
+
+    // send event to listeners
+    emitTrackChange(playlistIndex);
+
+    // continue audio playback, if we were playing
+    if (playing) {
+        play();
+    }
+}
+
+// select the given playlist index as the current track, without starting
+// playback
+function cueTrack(trackIndex) {
+    if (trackIndex != playlistIndex) {
+        // finish any track transition in progress
+        cancelTrackTransition();
+
+        playlistIndex = trackIndex;
+        playOrderPosition = playOrder.indexOf(trackIndex);
+
+        // clear deferred variables
+        deferredAudioSrc = null;
+        deferredInitialSeekTime = null;
+
+        // load the new track in the audio player
+        audio.src = getTrackUrl(playlist[playlistIndex]);
+
+        // reset playback position
+        uiSetPlaybackPosition(0);
+    }
+
+    // update the track skip buttons
+    uiUpdateTrackSkipButtons();
+
+    // update elapsed/remaining time counter HTML display elements
+    uiUpdateStatus();
+
+    // send event to listeners
+    emitTrackChange(playlistIndex);
+}
+
+// load a playlist that was downloaded or parsed from a file, initializing
+// the player with it if that hasn't been done yet
+function loadFetchedPlaylist(userPlaylist) {
+    if (null == playlist) {
+        init(userPlaylist);
+    } else {
+        loadPlaylist(userPlaylist);
+    }
+}
+
+// make an element from the page markup play its track in the player
+//
+// the track is looked up in the playlist when the element is used, so the
+// element keeps working after the playlist is edited. once the track isn't
+// in the playlist anymore, the element goes back to working on its own.
+function pageMarkupHijack(element, track) {
+    const trackIndex = () => {
+        return (null != playlist) ? playlist.indexOf(track) : -1;
+    };
+
+    // an audio element would play on its own, so stop it and play the
+    // track in the player instead
+    if ("AUDIO" == element.tagName) {
+        element.addEventListener("play", () => {
+            const index = trackIndex();
+            if (index >= 0) {
+                element.pause();
+                playTrack(index);
+            }
+        });
+        return;
+    }
+
+    element.addEventListener("click", (event) => {
+        // leave clicks that open the link in a new tab or window (and
+        // clicks that were already handled) to the browser
+        if (event.defaultPrevented || (0 != event.button) ||
+            event.ctrlKey || event.metaKey ||
+            event.shiftKey || event.altKey) {
+            return;
+        }
+
+        const index = trackIndex();
+        if (index < 0) {
+            return;
+        }
+
+        event.preventDefault();
+        playTrack(index);
+    });
+
+    // elements other than links need help to be used from the keyboard,
+    // unless there is a link or button inside of them already
+    if (("A" != element.tagName) && ("BUTTON" != element.tagName) &&
+        (null == element.querySelector("a[href], button"))) {
+        uiMakeAccessibleButton(element, null);
+    }
+}
+
+// the part of the given playlist object's audio file that is played,
+// as an object with "start" and "end" times in seconds, based on the
+// optional "start" and "end" keys of the playlist object
+//
+// the end is NaN if the playlist object doesn't have an "end" key,
+// and the duration of the file isn't known yet
+function getPlaylistTrackRange(track, audioObject) {
+    let start = 0;
+    let end = audioObject.duration;
+
+    if (null != track) {
+        if (Number.isFinite(track["start"])) {
+            start = track["start"];
+        }
+        if (Number.isFinite(track["end"])) {
+            end = (audioObject.duration > 0) ?
+                Math.min(track["end"], audioObject.duration) :
+                track["end"];
+        }
+    }
+
+    return {"start": start, "end": end};
+}
+
+// the part of the current track's audio file that is played
+function getTrackRange() {
+    const track = (null != playlist) ? playlist[playlistIndex] : null;
+    return getPlaylistTrackRange(track, audio);
+}
+
+// did the current track reach its end, or the end of the part of the file
+// that it plays?
+function hasReachedTrackEnd() {
+    if (audio.ended) {
+        return true;
+    }
+
+    const track = playlist[playlistIndex];
+    return Number.isFinite(track["end"]) &&
+        (audio.currentTime >= track["end"]);
+}
+
+// if the current track only plays part of its file, and the given Audio
+// object is before that part, move it to the start
+function moveToTrackStart(audioObject) {
+    const start = getTrackRange()["start"];
+    if (audioObject.currentTime < start) {
+        audioObject.currentTime = start;
+    }
+}
+
+// the loop region, if it was set for the current track, otherwise null
+function getLoopRegion() {
+    if ((null == loopRegion) ||
+        (null == playlist) ||
+        (loopRegion["track"] !== playlist[playlistIndex])) {
+        return null;
+    }
+    return loopRegion;
+}
+
+// the next time in the file where playback has to do something other than
+// keep playing: the end of the loop region, or the trimmed end of the track
+//
+// returns null if there is nothing to do before the file ends on its own
+function getPlaybackBoundary() {
+    const region = getLoopRegion();
+    if (null != region) {
+        return region["end"];
+    }
+
+    const track = playlist[playlistIndex];
+    return Number.isFinite(track["end"]) ? track["end"] : null;
+}
+
+// called when playback reaches a boundary: jump back to the start of the
+// loop region, or handle the end of the trimmed track
+function handlePlaybackBoundary() {
+    const region = getLoopRegion();
+    if (null != region) {
+        audio.currentTime = region["start"];
+        updateCurrentChapter();
+    } else {
+        updatePlayState();
+    }
+}
+
+// check whether playback has reached the end of the loop region or the
+// trimmed end of the track, or is about to
+//
+// like gapless transitions, a timer is scheduled for the exact moment, so
+// that the loop is as seamless as possible
+//
+// called frequently while a track is playing
+function updatePlaybackBoundary() {
+    if (null != boundaryTimer) {
+        return;
+    }
+
+    const boundary = getPlaybackBoundary();
+    if (null == boundary) {
+        return;
+    }
+
+    // seconds of real time until the boundary
+    const remaining =
+        (boundary - audio.currentTime) / (audio.playbackRate || 1);
+
+    if (remaining <= 0) {
+        // only the loop needs handling here, since the end of the track
+        // is handled by updatePlayState()
+        if (null != getLoopRegion()) {
+            handlePlaybackBoundary();
+        }
+    } else if (remaining <= TRANSITION_SCHEDULE_SECONDS) {
+        boundaryTimer = setTimeout(() => {
+            boundaryTimer = null;
+            if (playing) {
+                handlePlaybackBoundary();
+            }
+        }, remaining * 1000);
+    }
+}
+
+// seek forward (or backward, if negative) by the given number of seconds,
+// from the current playback position, staying within the track
+function seekRelative(offset) {
+    const currentTime =
+        (null != deferredInitialSeekTime) ?
+        deferredInitialSeekTime :
+        audio.currentTime;
+    const target = Math.max(0, currentTime + offset);
+    seek(target);
+}
+
+// send a playlist change event to listeners, with the given details
+function emitPlaylistChange(action, details) {
+    emitEvent("playlist-changed", Object.assign({
+        "action": action,
+        "playlist": playlist
+    }, details));
+}
+
+// build a new play order for the current playlist
+//
+// without shuffle, this is just the playlist order. with shuffle, it is a
+// random permutation of the playlist indexes. if firstIndex is not null,
+// that playlist index is moved to the front of the shuffled order. if
+// avoidFirstIndex is not null, that playlist index is kept away from the
+// front of the shuffled order (so a track doesn't play twice in a row when
+// starting over with a fresh order).
+function buildPlayOrder(firstIndex, avoidFirstIndex) {
+    const order = [];
+    for (let i=0; i < playlist.length; i++) {
+        order.push(i);
+    }
+
+    if (! shuffle) {
+        return order;
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(shuffleRandom() * (i + 1));
+        const swap = order[i];
+        order[i] = order[j];
+        order[j] = swap;
+    }
+
+    if (null != firstIndex) {
+        // move the requested track to the front
+        order.splice(order.indexOf(firstIndex), 1);
+        order.unshift(firstIndex);
+    } else if ((null != avoidFirstIndex) &&
+               (order.length > 1) &&
+               (order[0] == avoidFirstIndex)) {
+        // swap the track we want to avoid to the end
+        order[0] = order[order.length - 1];
+        order[order.length - 1] = avoidFirstIndex;
+    }
+
+    return order;
+}
+
+// returns a function that generates repeatable pseudo-random numbers
+// in the range [0, 1) from the given integer seed (mulberry32)
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// pause every other player instance that is currently playing
+function pauseOtherInstances() {
+    for (let i=0; i < playerInstances.length; i++) {
+        const other = playerInstances[i];
+        if ((other !== instance) && other.isPlaying()) {
+            other.pause();
+        }
+    }
+}
+
+// start or stop the play state timer
+//
+// the timer only runs while we are playing and the page is visible. the
+// rest of the time, the play state is updated by the events from the Audio
+// object, which keep coming while the page is hidden, and stop when the
+// player is idle.
+function updatePlayStateTimer() {
+    const needed = playing &&
+        ((typeof document === "undefined") || (! document.hidden));
+
+    if (needed && (null == playStateTimer)) {
+        playStateTimer = setInterval(updatePlayState, PLAY_STATE_UPDATE_MS);
+    } else if ((! needed) && (null != playStateTimer)) {
+        playStateTimer = clearTimer(playStateTimer);
+    }
+}
+
+// updatePlayState
+//
+// Called for the play, pause, ended, timeupdate and loadedmetadata events
+// from the Audio object, and from the play state timer while playing
+//
+// It also has to handle the Audio object playing or pausing on its own,
+// because outside forces like the iPhone media controls on the lock
+// screen can also control the audio playback outside of our API
+//
 // Handles switching to the next track after the end of the current track,
 // updating UI elements, etc.
-function playStateIntervalHandler() {
+function updatePlayState() {
     // if the audio player is supposed to be playing
     if (playing) {
-        // if the current audio track just ended
-        if (audio.ended) {
-            // if we weren't already on the last track
-            if (playlistIndex < (playlist.length - 1)) {
-                // go to the next track
-                nextTrack();
+        // if the current audio track just ended
+        // (or reached the end of the part of the file it plays)
+        if (hasReachedTrackEnd()) {
+            // let listeners know that the track ended
+            emitEvent("ended");
+
+            // the next track that a gapless transition would go to
+            const transitionTarget = getTrackTransitionTarget();
+
+            // if the sleep timer is up at the end of this track
+            if (sleepTimerEndsWithTrack()) {
+                // stop here
+                expireSleepTimer();
+
+            // if the next track was already loaded ahead of time
+            // (but the gapless transition didn't happen in time)
+            } else if ((null != transitionTarget) &&
+                isStandbyAudioReady(transitionTarget)) {
+                // switch to it right away
+                switchToStandbyAudio(transitionTarget, 0);
+
+            // if we're repeating the current track
+            } else if ("one" == repeatMode) {
+                // play it again from the beginning
+                audio.currentTime = getTrackRange()["start"];
+                play();
+
+            // if we weren't already on the last track,
+            // or we're repeating the whole playlist
+            } else if ((playOrderPosition < (playOrder.length - 1)) ||
+                       ("all" == repeatMode)) {
+                // go to the next track
+                // (which wraps around to the first track after the last one)
+                nextTrack();
+
+            // we were on the last track, and it just ended
+            } else {
+                // pause the audio player
+                pause();
+
+                // go back to the first track, but don't start playback
+                // (if we're shuffling, start over with a fresh order)
+                if (shuffle) {
+                    playOrder = buildPlayOrder(null, playlistIndex);
+                }
+                playOrderPosition = 0;
+                playlistIndex = playOrder[playOrderPosition];
+                audio.src = getTrackUrl(playlist[playlistIndex]);
+
+                // clear deferred variables from previous playlist
+                deferredAudioSrc = null;
+                deferredInitialSeekTime = null;
+
+                // reset playback position
+                uiSetPlaybackPosition(0);
+
+                // update the track skip buttons,
+                // if we've landed at either end of the playlist
+                uiUpdateTrackSkipButtons();
+
+                // the whole playlist has been played
+                setPlayerState("ended");
+
+                // send events to listeners
+                emitTrackChange(playlistIndex);
+                emitEvent("end-of-playlist");
+            }
+
+        // if playback was paused outside of our API
+        // (e.g. from an iPhone controller on the lock screen)
+        } else if (audio.paused) {
+            // reflect reality
+            pause();
+
+        // if the track is still playing
+        } else {
+            // jump back to the start of the loop region,
+            // or get ready to do it right on time
+            updatePlaybackBoundary();
+
+            // start fading out, if the sleep timer is almost up
+            updateSleepTimer();
+
+            // get ready for gapless playback or crossfade
+            updateTrackTransition();
+        }
+
+        // update the elapsed/remaining/duration time counter
+        // HTML display elements
+        uiUpdateStatus();
+
+    // if the audio player is not supposed to be playing
+    } else {
+        // but it's actually playing
+        // (and not just fading out after pause() or stop())
+        if ((! audio.paused) && (null == fadeTimer)) {
+            // reflect reality
+            play();
+        }
+    }
+
+    // stop the play state timer once we're not playing anymore
+    updatePlayStateTimer();
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// MEDIA SESSION SECTION                                                    //
+//                                                                          //
+// Everything in this section is related to the browser's Media Session     //
+// API, which connects the player to the lock screen, notification area,    //
+// and hardware media keys.                                                 //
+//                                                                          //
+// These functions only have an effect if enableMediaSession() was called,  //
+// and the browser supports the Media Session API.                          //
+//////////////////////////////////////////////////////////////////////////////
+
+// does this browser support the Media Session API?
+function mediaSessionAvailable() {
+    return (typeof navigator !== "undefined") &&
+        ("mediaSession" in navigator) &&
+        (null != navigator.mediaSession);
+}
+
+// is this instance the one controlling the Media Session right now?
+function mediaSessionIsOwner() {
+    return (null != mediaSessionOptions) &&
+        mediaSessionAvailable() &&
+        (mediaSessionOwner === instance);
+}
+
+// take over the Media Session for this instance, by registering action
+// handlers that control this instance, and showing its current track
+function mediaSessionClaim() {
+    if ((null == mediaSessionOptions) || (! mediaSessionAvailable())) {
+        return;
+    }
+
+    mediaSessionOwner = instance;
+
+    const seekBy = (details, direction) => {
+        const offset = ((null != details) && (details.seekOffset > 0)) ?
+            details.seekOffset :
+            mediaSessionOptions["seekOffset"];
+        seekRelative(direction * offset);
+    };
+
+    mediaSessionSetActionHandler("play", () => play());
+    mediaSessionSetActionHandler("pause", () => pause());
+    mediaSessionSetActionHandler("stop", () => stop());
+    mediaSessionSetActionHandler("previoustrack", () => prevTrack());
+    mediaSessionSetActionHandler("nexttrack", () => nextTrack());
+    mediaSessionSetActionHandler("seekto", (details) => {
+        seek(details.seekTime);
+    });
+    mediaSessionSetActionHandler("seekforward", (details) => {
+        seekBy(details, 1);
+    });
+    mediaSessionSetActionHandler("seekbackward", (details) => {
+        seekBy(details, -1);
+    });
+
+    mediaSessionUpdateMetadata();
+    mediaSessionUpdatePlaybackState();
+    mediaSessionUpdatePositionState();
+}
+
+// register a single Media Session action handler
+//
+// browsers throw an error for actions they don't support,
+// which we just ignore
+function mediaSessionSetActionHandler(action, handler) {
+    try {
+        navigator.mediaSession.setActionHandler(action, handler);
+    } catch (error) {
+        // this browser doesn't support this action
+    }
+}
+
+// show the current track's metadata in the Media Session
+function mediaSessionUpdateMetadata() {
+    if ((! mediaSessionIsOwner()) || (null == playlist)) {
+        return;
+    }
+    if (typeof MediaMetadata === "undefined") {
+        return;
+    }
+
+    const track = playlist[playlistIndex];
+    const metadata = {};
+
+    for (const key of ["title", "artist", "album"]) {
+        const value = track[mediaSessionOptions[key]];
+        if (undefined !== value) {
+            metadata[key] = String(value);
+        }
+    }
+
+    const artwork = track[mediaSessionOptions["artwork"]];
+    if (typeof artwork === "string") {
+        metadata["artwork"] = [{"src": artwork}];
+    } else if (Array.isArray(artwork)) {
+        metadata["artwork"] = artwork;
+    }
+
+    try {
+        navigator.mediaSession.metadata = new MediaMetadata(metadata);
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+// tell the Media Session whether we are playing or paused
+function mediaSessionUpdatePlaybackState() {
+    if (! mediaSessionIsOwner()) {
+        return;
+    }
+
+    navigator.mediaSession.playbackState = playing ? "playing" : "paused";
+}
+
+// tell the Media Session about the duration, playback position and
+// playback rate of the current track
+function mediaSessionUpdatePositionState() {
+    if (! mediaSessionIsOwner()) {
+        return;
+    }
+    if (typeof navigator.mediaSession.setPositionState !== "function") {
+        return;
+    }
+
+    const duration = audio.duration;
+    if ((! Number.isFinite(duration)) || (duration <= 0)) {
+        return;
+    }
+
+    const position =
+        (null != deferredInitialSeekTime) ?
+        deferredInitialSeekTime :
+        audio.currentTime;
+
+    try {
+        navigator.mediaSession.setPositionState({
+            "duration": duration,
+            "playbackRate": audio.playbackRate || 1,
+            "position": Math.max(0, Math.min(position, duration))
+        });
+    } catch (error) {
+        // the browser didn't like the values, which can happen briefly
+        // while a new track is loading
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// CHAPTERS SECTION                                                         //
+//                                                                          //
+// Everything in this section is related to keeping track of the chapters   //
+// within the current track.                                                //
+//                                                                          //
+// A playlist object can list its chapters directly in a "chapters" array   //
+// of {"start", "title"} objects, with start times in seconds, or point to  //
+// a WebVTT or Podcasting 2.0 JSON chapters file with a "chaptersUrl"       //
+// entry, which is downloaded when the track becomes the current track.     //
+//////////////////////////////////////////////////////////////////////////////
+
+// the chapters of the given playlist object, or an empty array if it
+// doesn't have any (yet)
+function getTrackChapters(track) {
+    if ((null == track) || (! Array.isArray(track["chapters"]))) {
+        return [];
+    }
+    return track["chapters"];
+}
+
+// the playback time to find the current chapter with
+function getChapterTime() {
+    return (null != deferredInitialSeekTime) ?
+        deferredInitialSeekTime :
+        audio.currentTime;
+}
+
+// find the index of the chapter of the given track that contains the
+// given playback time, or null if the track has no chapters there
+function findChapterIndex(track, time) {
+    // chapters are sorted by start time, so the last chapter that starts
+    // at or before the current time is the one we're in
+    let chapterIndex = null;
+    const chapters = getTrackChapters(track);
+    for (let i=0; i < chapters.length; i++) {
+        if (chapters[i]["start"] <= time) {
+            chapterIndex = i;
+        } else {
+            break;
+        }
+    }
+    return chapterIndex;
+}
+
+// figure out which chapter the current playback position is in, and let
+// listeners know if it's a different chapter than before
+function updateCurrentChapter() {
+    if (null == playlist) {
+        return;
+    }
+
+    const track = playlist[playlistIndex];
+
+    // the chapters for this track may need to be downloaded first
+    if (! Array.isArray(track["chapters"])) {
+        downloadChapters(track);
+    }
+
+    const chapterIndex = findChapterIndex(track, getChapterTime());
+
+    if ((track === currentChapterTrack) &&
+        (chapterIndex === currentChapterIndex)) {
+        return;
+    }
+
+    const trackChanged = (track !== currentChapterTrack);
+    const previousChapterIndex = trackChanged ? null : currentChapterIndex;
+
+    currentChapterTrack = track;
+    currentChapterIndex = chapterIndex;
+
+    // show the chapters of the new track on the playback position slider
+    if (trackChanged) {
+        uiUpdateChapterMarks();
+    }
+
+    // when stepping through chapters, the prev/next track buttons depend
+    // on which chapter we're in
+    if (stepThroughChapters) {
+        uiUpdateTrackSkipButtons();
+    }
+
+    if (null != chapterIndex) {
+        emitEvent("chapter-change", {
+            "chapterIndex": chapterIndex,
+            "chapter": track["chapters"][chapterIndex],
+            "previousChapterIndex": previousChapterIndex
+        });
+    }
+}
+
+// download the chapters file for the given playlist object, if it has one,
+// and attach the chapters to it
+function downloadChapters(track) {
+    const chaptersUrl = track["chaptersUrl"];
+    if ((null == chaptersUrl) || chapterDownloads.has(track)) {
+        return;
+    }
+
+    chapterDownloads.add(track);
+
+    fetchText(chaptersUrl).then((response) => {
+        track["chapters"] = chapterFileParse(response["text"]);
+
+        // the current chapter may have changed, now that we know about it
+        updateCurrentChapter();
+        uiUpdateChapterMarks();
+    }).catch((error) => {
+        console.error(error);
+    });
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// ERROR HANDLING SECTION                                                   //
+//                                                                          //
+// Everything in this section is related to handling tracks that fail to    //
+// load or play, according to the policy set with setErrorPolicy().         //
+//////////////////////////////////////////////////////////////////////////////
+
+// handle a track that failed to load or play
+//
+// errorType is "autoplay-blocked", "network", "decode", "unsupported" or
+// "unknown", error is the DOMException, MediaError or Error that describes
+// what happened, and mediaErrorCode is the MediaError code, if there is one
+function handleTrackError(errorType, error, mediaErrorCode) {
+    const url = audio.src;
+    const track = playlist[playlistIndex];
+
+    // an error is often reported both by play() and by the Audio object,
+    // but only needs to be handled once
+    if (("autoplay-blocked" != errorType) && (url === handledErrorSrc)) {
+        return;
+    }
+
+    stallTimer = clearTimer(stallTimer);
+
+    // if the track has another source that might work, try that first
+    if (("autoplay-blocked" != errorType) && tryNextTrackSource()) {
+        return;
+    }
+
+    // decide what to do about it
+    let action = null;
+    if ("autoplay-blocked" == errorType) {
+        // the user has to interact with the page first
+        action = "stop";
+    } else if (! playing) {
+        // nothing to do until the user tries to play the track
+        action = null;
+    } else if ("retry" == errorPolicy["policy"]) {
+        if (errorRetryTrack !== track) {
+            errorRetryTrack = track;
+            errorRetryCount = 0;
+        }
+        action = (errorRetryCount < errorPolicy["retries"]) ?
+            "retry" :
+            errorPolicy["then"];
+    } else {
+        action = errorPolicy["policy"];
+    }
+
+    if ("autoplay-blocked" != errorType) {
+        handledErrorSrc = url;
+        failedTracks.add(track);
+    }
+
+    // let listeners know what went wrong, and what we're doing about it
+    emitEvent("error", {
+        "error": error,
+        "url": url,
+        "errorType": errorType,
+        "mediaErrorCode": (null != mediaErrorCode) ? mediaErrorCode : null,
+        "action": action
+    });
+
+    if ("retry" == action) {
+        retryTrack(track);
+    } else if ("skip" == action) {
+        skipFailedTrack();
+    } else if ("stop" == action) {
+        stopAfterError();
+    }
+
+    // unless the player moved on to another track, the current track is
+    // broken (but a blocked autoplay is no fault of the track)
+    if (("autoplay-blocked" != errorType) && (! playing)) {
+        setPlayerState("error");
+    }
+}
+
+// switch the current track over to its next source that the browser might
+// be able to play, after the current one failed, and return true,
+// or return false if there isn't one
+function tryNextTrackSource() {
+    const track = playlist[playlistIndex];
+    const index = findPlayableSource(track, getTrackSourceIndex(track) + 1);
+
+    if (index < 0) {
+        // start over with the first source next time
+        trackSourceIndexes.delete(track);
+        return false;
+    }
+
+    console.warn("error playing " + audio.src + ", trying the next source");
+
+    // pick up where the failed source left off
+    const position = audio.currentTime;
+
+    trackSourceIndexes.set(track, index);
+    audio.src = getTrackUrl(track);
+    deferredAudioSrc = null;
+    if (position > 0) {
+        deferredInitialSeekTime = position;
+    }
+
+    if (playing) {
+        play();
+    }
+
+    return true;
+}
+
+// pause the player after an error, so that pressing play tries the
+// failed track again
+function stopAfterError() {
+    // we just found out that we aren't actually playing
+    pause();
+
+    // remember which file we were trying to play
+    deferredAudioSrc = getTrackUrl(playlist[playlistIndex]);
+}
+
+// try to play the given (current) track again, after a delay that doubles
+// with every retry
+function retryTrack(track) {
+    const delay = errorPolicy["retryDelay"] * Math.pow(2, errorRetryCount);
+    errorRetryCount++;
+
+    // remember where we were, so the retry picks up from there
+    const position = audio.currentTime;
+
+    stopAfterError();
+    if (position > 0) {
+        deferredInitialSeekTime = position;
+    }
+
+    errorRetryTimer = setTimeout(() => {
+        errorRetryTimer = null;
+
+        // unless a different track was picked in the meantime
+        if ((null != playlist) && (playlist[playlistIndex] === track)) {
+            play();
+        }
+    }, delay * 1000);
+}
+
+// go on to the next track in the play order that hasn't failed,
+// or stop if there isn't one
+function skipFailedTrack() {
+    const wrapAround = ("all" == repeatMode);
+
+    for (let position = playOrderPosition + 1;
+         position < (playOrderPosition + playOrder.length);
+         position++) {
+        // only wrap around to the start of the play order under repeat-all
+        if ((position >= playOrder.length) && (! wrapAround)) {
+            break;
+        }
+
+        const index = playOrder[position % playOrder.length];
+        if (! failedTracks.has(playlist[index])) {
+            playTrack(index);
+            return;
+        }
+    }
+
+    // there's nothing left that might play
+    stopAfterError();
+}
+
+// start counting down to giving up on a track that stalled while playing
+function startStallTimer() {
+    if ((! playing) ||
+        (null != stallTimer) ||
+        (! (errorPolicy["stallTimeout"] > 0))) {
+        return;
+    }
+
+    const stalledAudio = audio;
+    const stalledTime = audio.currentTime;
+
+    stallTimer = setTimeout(() => {
+        stallTimer = null;
+
+        // if playback still hasn't moved on, give up
+        if (playing &&
+            (stalledAudio === audio) &&
+            (stalledTime == audio.currentTime) &&
+            (audio.readyState < HAVE_FUTURE_DATA)) {
+            handleTrackError("network", new Error("playback stalled"));
+        }
+    }, errorPolicy["stallTimeout"] * 1000);
+}
+
+// the current track started playing, so forget about any earlier errors
+function handleTrackPlaying() {
+    stallTimer = clearTimer(stallTimer);
+    handledErrorSrc = null;
+
+    if (null != playlist) {
+        const track = playlist[playlistIndex];
+        failedTracks.delete(track);
+        if (errorRetryTrack === track) {
+            errorRetryTrack = null;
+            errorRetryCount = 0;
+        }
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// SLEEP TIMER SECTION                                                      //
+//                                                                          //
+// Everything in this section is related to the sleep timer, which pauses   //
+// playback after a while, or at the end of the current track or chapter.   //
+//                                                                          //
+// These functions only have an effect if setSleepTimer() was called.       //
+//////////////////////////////////////////////////////////////////////////////
+
+// is the sleep timer waiting for the end of the current track?
+function sleepTimerEndsWithTrack() {
+    if (null == sleepTimer) {
+        return false;
+    }
+
+    return ("endOfTrack" == sleepTimer["mode"]) ||
+        (("endOfChapter" == sleepTimer["mode"]) &&
+         (getSleepTimerBoundary() >= getTrackRange()["end"]));
+}
+
+// the time in the current track's audio file that an "endOfTrack" or
+// "endOfChapter" sleep timer pauses playback at
+function getSleepTimerBoundary() {
+    const trackEnd = getTrackRange()["end"];
+    if ("endOfChapter" != sleepTimer["mode"]) {
+        return trackEnd;
+    }
+
+    // the start of the next chapter, if there is one before the track ends
+    const time = getChapterTime();
+    const nextChapter = getTrackChapters(playlist[playlistIndex]).find(
+        (chapter) => chapter["start"] > time);
+    if ((undefined !== nextChapter) && (nextChapter["start"] < trackEnd)) {
+        return nextChapter["start"];
+    }
+    return trackEnd;
+}
+
+// start fading out, if an "endOfTrack" or "endOfChapter" sleep timer is
+// almost up
+//
+// called frequently while a track is playing
+function updateSleepTimer() {
+    if ((null == sleepTimer) ||
+        sleepTimer["fading"] ||
+        ("minutes" == sleepTimer["mode"])) {
+        return;
+    }
+
+    // (in real time, at the current playback rate)
+    const remaining = getSleepTimerRemaining();
+    if ((null != remaining) &&
+        (remaining <= Math.max(
+            sleepTimer["fadeSeconds"], SLEEP_TIMER_SCHEDULE_SECONDS))) {
+        startSleepTimerFade(remaining);
+    }
+}
+
+// fade out over the given number of seconds, then pause
+function startSleepTimerFade(seconds) {
+    if (! playing) {
+        expireSleepTimer();
+        return;
+    }
+
+    sleepTimer["fading"] = true;
+    fadeTo(0, seconds, expireSleepTimer);
+}
+
+// pause playback, now that the sleep timer is up
+function expireSleepTimer() {
+    const mode = sleepTimer["mode"];
+
+    // forget about the timer first, so that pausing doesn't set it off again
+    sleepTimerTimeout = clearTimer(sleepTimerTimeout);
+    sleepTimer = null;
+
+    if (playing) {
+        pause();
+    }
+
+    emitEvent("sleep-timer", {
+        "action": "expire",
+        "mode": mode,
+        "remaining": 0
+    });
+}
+
+// forget about the sleep timer, and undo its fade out if it started
+function clearSleepTimer() {
+    sleepTimerTimeout = clearTimer(sleepTimerTimeout);
+
+    if ((null != sleepTimer) && sleepTimer["fading"] && playing) {
+        fadeTo(1, 0, null);
+    }
+
+    sleepTimer = null;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// KEYBOARD SHORTCUTS SECTION                                               //
+//                                                                          //
+// Everything in this section is related to controlling the player with     //
+// keyboard shortcuts.                                                      //
+//                                                                          //
+// These functions only have an effect if enableKeyboardShortcuts() was     //
+// called.                                                                  //
+//////////////////////////////////////////////////////////////////////////////
+
+// the actions that can be named in a keyboard shortcut key map
+const keyboardShortcutActions = {
+    "play":              () => play(),
+    "pause":             () => pause(),
+    "playPause":         () => playPause(),
+    "stop":              () => stop(),
+    "prevTrack":         () => prevTrack(),
+    "nextTrack":         () => nextTrack(),
+    "seekBackward":      () => {
+        seekRelative(keyboardShortcutOptions["seekOffset"] * -1);
+    },
+    "seekForward":       () => {
+        seekRelative(keyboardShortcutOptions["seekOffset"]);
+    },
+    "toggleMute":        () => toggleMute(),
+    "volumeUp":          () => {
+        setVolume(Math.min(1, volume + keyboardShortcutOptions["volumeStep"]));
+    },
+    "volumeDown":        () => {
+        setVolume(Math.max(0, volume - keyboardShortcutOptions["volumeStep"]));
+    },
+    "cyclePlaybackRate": () => cyclePlaybackRate()
+};
+
+// the name of the pressed key, as it appears in the key map
+//
+// single characters are lowercased, so that e.g. "m" and "M" both match,
+// and other keys get a "Shift+" prefix when Shift is held down
+function keyboardShortcutKeyName(event) {
+    const key = event.key;
+    if (1 == key.length) {
+        return key.toLowerCase();
+    }
+    return event.shiftKey ? ("Shift+" + key) : key;
+}
+
+// should this key press be left alone?
+//
+// we stay out of the way while the user is typing, when a modifier key
+// is part of a browser or system shortcut, and when a focused button or
+// link is about to handle Space or Enter itself
+function keyboardShortcutShouldIgnore(event) {
+    if (event.defaultPrevented ||
+        event.ctrlKey ||
+        event.altKey ||
+        event.metaKey) {
+        return true;
+    }
+
+    const target = event.target;
+    if (null == target) {
+        return false;
+    }
+
+    const tagName = target.tagName;
+    if (("INPUT" == tagName) ||
+        ("TEXTAREA" == tagName) ||
+        ("SELECT" == tagName) ||
+        target.isContentEditable) {
+        return true;
+    }
+
+    if ((" " == event.key) || ("Enter" == event.key)) {
+        if (("BUTTON" == tagName) ||
+            (("A" == tagName) && target.hasAttribute("href"))) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// run the action for a key press, if there is one
+function keyboardShortcutHandler(event) {
+    if ((null == keyboardShortcutOptions) ||
+        keyboardShortcutShouldIgnore(event)) {
+        return;
+    }
+
+    const keyMap = keyboardShortcutOptions["keyMap"];
+    const keyName = keyboardShortcutKeyName(event);
+    if (! keyMap.hasOwnProperty(keyName)) {
+        return;
+    }
+
+    // keep the browser from also acting on the key
+    // (e.g. scrolling the page when Space is pressed)
+    event.preventDefault();
+
+    const action = keyMap[keyName];
+    if (typeof action === "function") {
+        action(event);
+    } else {
+        keyboardShortcutActions[action]();
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// PERSISTENCE SECTION                                                      //
+//                                                                          //
+// Everything in this section is related to saving the playback state, and  //
+// restoring it on the next page load.                                      //
+//                                                                          //
+// These functions only have an effect if enablePersistence() was called.   //
+//////////////////////////////////////////////////////////////////////////////
+
+// the default id for enablePersistence(): the page path, plus the number
+// of this player instance if it isn't the default player, so that several
+// players on the same page don't overwrite each other's saved state
+function persistenceDefaultId() {
+    const path = (typeof location !== "undefined") ? location.pathname : "";
+    const instanceNumber = playerInstances.indexOf(instance);
+    return (instanceNumber > 0) ? (path + "#" + instanceNumber) : path;
+}
+
+// the default storage adapter, which uses window.localStorage
+//
+// localStorage can throw errors when it is disabled or full, in which case
+// nothing is saved or restored
+const persistenceLocalStorageAdapter = {
+    "get": (key) => {
+        try {
+            return window.localStorage.getItem(key);
+        } catch (error) {
+            return null;
+        }
+    },
+    "set": (key, value) => {
+        try {
+            window.localStorage.setItem(key, value);
+        } catch (error) {
+            // nowhere to save it
+        }
+    }
+};
+
+// the storage key for this playlist's saved state
+function persistenceKey() {
+    return "diyaudioplayer:" + persistenceOptions["id"];
+}
+
+// save the current playback state
+function persistenceSave() {
+    if ((null == persistenceOptions) ||
+        persistenceRestoring ||
+        (null == playlist)) {
+        return;
+    }
+
+    // (the first source identifies the track, whichever one is playing)
+    const state = {
+        "url": getTrackSources(playlist[playlistIndex])[0]["url"],
+        "index": playlistIndex,
+        "time":
+            (null != deferredInitialSeekTime) ?
+            deferredInitialSeekTime :
+            audio.currentTime,
+        "volume": volume,
+        "muted": muted,
+        "playbackRate": playbackRate,
+        "repeatMode": repeatMode,
+        "shuffle": shuffle
+    };
+
+    persistenceLastSaveTime = performance.now();
+
+    try {
+        persistenceOptions["storage"].set(
+            persistenceKey(), JSON.stringify(state));
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+// save the current playback state, but only if it hasn't been saved
+// recently (used while playing, when the position changes constantly)
+function persistenceSaveThrottled() {
+    if (null == persistenceOptions) {
+        return;
+    }
+
+    const elapsed = performance.now() - persistenceLastSaveTime;
+    if (elapsed >= (persistenceOptions["saveInterval"] * 1000)) {
+        persistenceSave();
+    }
+}
+
+// load the saved playback state from storage, and restore it
+function persistenceRestore() {
+    if ((null == persistenceOptions) || (null == playlist)) {
+        return;
+    }
+
+    // don't save anything until the saved state has been restored
+    persistenceRestoring = true;
+
+    let saved = null;
+    try {
+        saved = persistenceOptions["storage"].get(persistenceKey());
+    } catch (error) {
+        console.error(error);
+        persistenceRestoring = false;
+        return;
+    }
+
+    // storage adapters are allowed to be asynchronous
+    if ((null != saved) && (typeof saved.then === "function")) {
+        saved.then(persistenceApplyState, (error) => {
+            console.error(error);
+            persistenceRestoring = false;
+        });
+    } else {
+        persistenceApplyState(saved);
+    }
+}
+
+// restore the given saved playback state (as a JSON string)
+//
+// anything that is missing or doesn't make sense anymore is skipped
+function persistenceApplyState(saved) {
+    try {
+        persistenceApplySavedSettings(saved);
+    } finally {
+        // from now on, changes are saved again
+        persistenceRestoring = false;
+    }
+}
+
+// parse the given saved playback state, and apply what still makes sense
+function persistenceApplySavedSettings(saved) {
+    if ((null == saved) || (null == playlist)) {
+        return;
+    }
+
+    let state = null;
+    try {
+        state = JSON.parse(saved);
+    } catch (error) {
+        return;
+    }
+    if ((null == state) || (typeof state !== "object")) {
+        return;
+    }
+
+    if ((typeof state["volume"] === "number") &&
+        (state["volume"] >= 0) && (state["volume"] <= 1)) {
+        setVolume(state["volume"]);
+    }
+    if (true === state["muted"]) {
+        mute();
+    }
+    if ((typeof state["playbackRate"] === "number") &&
+        (state["playbackRate"] >= MIN_PLAYBACK_RATE) &&
+        (state["playbackRate"] <= MAX_PLAYBACK_RATE)) {
+        setPlaybackRate(state["playbackRate"]);
+    }
+    if (REPEAT_MODES.includes(state["repeatMode"])) {
+        setRepeatMode(state["repeatMode"]);
+    }
+    if (true === state["shuffle"]) {
+        setShuffle(true);
+    }
+
+    // find the saved track, in case the playlist changed since then
+    let index = state["index"];
+    if ((! Number.isInteger(index)) ||
+        (index < 0) ||
+        (index >= playlist.length) ||
+        (getTrackSources(playlist[index])[0]["url"] !== state["url"])) {
+        index = playlist.findIndex((track) => {
+            return getTrackSources(track)[0]["url"] === state["url"];
+        });
+    }
+
+    // restore the track and position, without starting playback
+    // (if we're already playing, leave things alone)
+    if ((index >= 0) && (! playing)) {
+        cueTrack(index);
+
+        if ((typeof state["time"] === "number") && (state["time"] > 0)) {
+            seek(state["time"]);
+        }
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// WEB AUDIO SECTION                                                        //
+//                                                                          //
+// Everything in this section is related to routing the Audio objects       //
+// through the Web Audio API, for features that need to get at the audio    //
+// itself.                                                                  //
+//                                                                          //
+// Nothing here is set up until one of those features is enabled, since     //
+// audio from another origin is silent once it goes through Web Audio,      //
+// unless it's served with CORS headers.                                    //
+//////////////////////////////////////////////////////////////////////////////
+
+// create the Web Audio graph for this instance, if it doesn't exist yet,
+// and route the Audio objects through it
+//
+// returns false if the browser doesn't support Web Audio
+function webAudioSetup() {
+    if (null != audioGraphInput) {
+        return true;
+    }
+
+    const audioContext = getAudioContext();
+    if (null == audioContext) {
+        return false;
+    }
+
+    // the Audio objects are mixed into the input,
+    // and the output goes to the speakers
+    audioGraphInput = audioContext.createGain();
+    audioGraphOutput = audioContext.createGain();
+    audioGraphInput.connect(audioGraphOutput);
+    audioGraphOutput.connect(audioContext.destination);
+
+    webAudioConnect(audio);
+    if (null != standbyAudio) {
+        webAudioConnect(standbyAudio);
+    }
+
+    // browsers only let an AudioContext run once the user has interacted
+    // with the page, which is usually how playback gets started
+    on("play", webAudioResume);
+    webAudioResume();
+
+    // keep the ReplayGain up to date as the track changes
+    on("track-change", replayGainUpdate);
+    replayGainUpdate();
+
+    return true;
+}
+
+// route an Audio object through the Web Audio graph
+//
+// each Audio object gets its own gain stage for ReplayGain, since during a
+// crossfade, two different tracks are playing at the same time
+function webAudioConnect(audioObject) {
+    const audioContext = getAudioContext();
+    const source = audioContext.createMediaElementSource(audioObject);
+    const trackGain = audioContext.createGain();
+
+    source.connect(trackGain);
+    trackGain.connect(audioGraphInput);
+    audioGraphTrackGains.set(audioObject, trackGain);
+}
+
+// connect the equalizer filters and the limiter, in that order, between
+// the input and the output of the Web Audio graph
+function webAudioConnectProcessing() {
+    audioGraphInput.disconnect();
+    for (let i=0; i < equalizerFilters.length; i++) {
+        equalizerFilters[i].disconnect();
+    }
+    if (null != limiterNode) {
+        limiterNode.disconnect();
+    }
+
+    let previousNode = audioGraphInput;
+    const nodes = equalizerFilters.concat(
+        (null != limiterNode) ? [limiterNode] : []);
+    for (let i=0; i < nodes.length; i++) {
+        previousNode.connect(nodes[i]);
+        previousNode = nodes[i];
+    }
+    previousNode.connect(audioGraphOutput);
+}
+
+// read a ReplayGain value (in dB) from a playlist object, which may be
+// a number or a string from a tag (e.g. "-6.48 dB"), or return null
+function replayGainRead(track, key) {
+    const value = parseFloat(track[key]);
+    return Number.isFinite(value) ? value : null;
+}
+
+// the gain (as a multiplier) to apply to the given playlist object
+function replayGainForTrack(track) {
+    const mode = replayGainOptions["mode"];
+    if (("off" == mode) || (null == track)) {
+        return 1;
+    }
+
+    // use the gain for the mode, falling back on the other one
+    const trackGain = replayGainRead(track, "replaygain_track_gain");
+    const albumGain = replayGainRead(track, "replaygain_album_gain");
+    let gain = ("album" == mode) ?
+        ((null != albumGain) ? albumGain : trackGain) :
+        ((null != trackGain) ? trackGain : albumGain);
+    if (null == gain) {
+        gain = replayGainOptions["defaultGain"];
+    }
+
+    return Math.pow(10, (gain + replayGainOptions["preamp"]) / 20);
+}
+
+// apply the ReplayGain of the tracks that are loaded in the Audio objects
+function replayGainUpdate() {
+    if (null == audioGraphInput) {
+        return;
+    }
+
+    const audioObjects = [
+        [audio, (null != playlist) ? playlist[playlistIndex] : null],
+        [standbyAudio, standbyTrack]
+    ];
+    for (let i=0; i < audioObjects.length; i++) {
+        // the Audio object that is fading out during a crossfade still
+        // plays the previous track, so it keeps the gain it already has
+        if (audioObjects[i][0] === fadingAudio) {
+            continue;
+        }
+
+        const trackGain = audioGraphTrackGains.get(audioObjects[i][0]);
+        if (undefined !== trackGain) {
+            trackGain.gain.value = replayGainForTrack(audioObjects[i][1]);
+        }
+    }
+}
+
+// start the AudioContext, if the browser hasn't let it start yet
+function webAudioResume() {
+    const audioContext = getAudioContext();
+    if ("suspended" == audioContext.state) {
+        audioContext.resume().catch((error) => {
+            console.error(error);
+        });
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// VISUALIZER SECTION                                                       //
+//                                                                          //
+// Everything in this section is related to drawing the audio into canvas   //
+// elements: the live spectrum/oscilloscope and the waveform seek bar.      //
+//                                                                          //
+// These functions only have an effect if enableVisualizer() or             //
+// enableWaveformSeekBar() was called.                                      //
+//////////////////////////////////////////////////////////////////////////////
+
+// make the drawing buffer of a canvas match its size on the page, so that
+// drawings are sharp on high resolution screens
+function visualizerResizeCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+
+    if ((width > 0) && (height > 0) &&
+        ((canvas.width != width) || (canvas.height != height))) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    return ratio;
+}
+
+// clear a canvas, filling it with the background color if there is one
+function visualizerClearCanvas(canvas, context, backgroundColor) {
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (null != backgroundColor) {
+        context.fillStyle = backgroundColor;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+}
+
+// start drawing the visualizer on every animation frame
+function visualizerStart() {
+    if (null == visualizerFrame) {
+        visualizerFrame = requestAnimationFrame(visualizerDraw);
+    }
+}
+
+// stop drawing the visualizer, and clear it
+function visualizerStop() {
+    if (null != visualizerFrame) {
+        cancelAnimationFrame(visualizerFrame);
+        visualizerFrame = null;
+    }
+
+    const canvas = visualizerOptions["canvas"];
+    visualizerClearCanvas(canvas, canvas.getContext("2d"),
+        visualizerOptions["backgroundColor"]);
+}
+
+// draw one frame of the visualizer, and ask for the next one
+function visualizerDraw() {
+    visualizerFrame = null;
+
+    const canvas = visualizerOptions["canvas"];
+    const context = canvas.getContext("2d");
+    const ratio = visualizerResizeCanvas(canvas);
+    const width = canvas.width;
+    const height = canvas.height;
+
+    visualizerClearCanvas(canvas, context,
+        visualizerOptions["backgroundColor"]);
+
+    if ("oscilloscope" == visualizerOptions["mode"]) {
+        // the waveform, with silence in the middle
+        const samples = new Uint8Array(visualizerAnalyser.fftSize);
+        visualizerAnalyser.getByteTimeDomainData(samples);
+
+        context.lineWidth = visualizerOptions["lineWidth"] * ratio;
+        context.strokeStyle = visualizerOptions["color"];
+        context.beginPath();
+        for (let i=0; i < samples.length; i++) {
+            const x = i / (samples.length - 1) * width;
+            const y = (1 - (samples[i] / 255)) * height;
+            if (0 == i) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+        context.stroke();
+    } else {
+        // one bar per group of frequencies, low frequencies on the left
+        const levels = new Uint8Array(visualizerAnalyser.frequencyBinCount);
+        visualizerAnalyser.getByteFrequencyData(levels);
+
+        const bars = Math.max(1, Math.min(visualizerOptions["bars"],
+            levels.length));
+        const binsPerBar = Math.floor(levels.length / bars);
+        const barWidth = width / bars;
+
+        context.fillStyle = visualizerOptions["color"];
+        for (let i=0; i < bars; i++) {
+            let total = 0;
+            for (let j=0; j < binsPerBar; j++) {
+                total += levels[(i * binsPerBar) + j];
+            }
+            const barHeight = (total / binsPerBar / 255) * height;
+
+            // leave a gap between the bars
+            context.fillRect(i * barWidth, height - barHeight,
+                Math.max(1, barWidth - ratio), barHeight);
+        }
+    }
+
+    if (playing) {
+        visualizerFrame = requestAnimationFrame(visualizerDraw);
+    }
+}
+
+// get the peaks of a playlist object, or null if it doesn't have any
+// (yet, if they're still being downloaded)
+function waveformGetPeaks(track) {
+    if ((null == track) || (! Array.isArray(track["peaks"]))) {
+        return null;
+    }
+    return track["peaks"];
+}
+
+// download the peaks file for the given playlist object, if it has one,
+// and attach the peaks to it
+function waveformDownloadPeaks(track) {
+    const peaksUrl = track["peaksUrl"];
+    if ((null == peaksUrl) ||
+        (null != waveformGetPeaks(track)) ||
+        peaksDownloads.has(track)) {
+        return;
+    }
+
+    peaksDownloads.add(track);
+
+    fetchText(peaksUrl).then((response) => {
+        track["peaks"] = waveformParsePeaks(JSON.parse(response["text"]));
+
+        // show the waveform, if the track is still the current one
+        waveformDraw();
+    }).catch((error) => {
+        console.error(error);
+    });
+}
+
+// turn the contents of a peaks JSON file into an array of peaks
+//
+// the file is either an array of numbers, or the output of BBC's
+// audiowaveform tool, whose "data" array has a minimum and a maximum
+// sample for each slice of the file (for each channel, one after another)
+function waveformParsePeaks(json) {
+    if (Array.isArray(json)) {
+        return json;
+    }
+
+    if ((null == json) || (! Array.isArray(json["data"]))) {
+        throw new Error("peaks file has no peaks");
+    }
+
+    const data = json["data"];
+    const valuesPerPeak = 2 * (json["channels"] || 1);
+    const peaks = [];
+    for (let i=0; i < data.length; i += valuesPerPeak) {
+        let peak = 0;
+        for (let j=i; j < Math.min(i + valuesPerPeak, data.length); j++) {
+            peak = Math.max(peak, Math.abs(data[j]));
+        }
+        peaks.push(peak);
+    }
+    return peaks;
+}
+
+// get ready to show the waveform of the new current track
+function waveformTrackChange() {
+    waveformDragPercent = null;
+    waveformDownloadPeaks(playlist[playlistIndex]);
+    waveformDraw();
+}
+
+// draw the waveform seek bar, and update its accessibility attributes
+function waveformDraw() {
+    if ((null == waveformOptions) || (null == playlist)) {
+        return;
+    }
+
+    const canvas = waveformOptions["canvas"];
+    const context = canvas.getContext("2d");
+    const ratio = visualizerResizeCanvas(canvas);
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // the part of the waveform that has been played (or is being dragged to)
+    const percent =
+        (null != waveformDragPercent) ?
+        waveformDragPercent :
+        uiTimeToPercent(getChapterTime());
+    const progressX = width * percent / 100;
+
+    visualizerClearCanvas(canvas, context, null);
+
+    const peaks = waveformGetPeaks(playlist[playlistIndex]);
+    if ((null == peaks) || (0 == peaks.length)) {
+        // without peaks, there's just a line to show the progress on
+        const lineHeight = Math.max(1, Math.round(ratio));
+        const lineY = Math.round((height - lineHeight) / 2);
+        context.fillStyle = waveformOptions["color"];
+        context.fillRect(0, lineY, width, lineHeight);
+        context.fillStyle = waveformOptions["progressColor"];
+        context.fillRect(0, lineY, progressX, lineHeight);
+    } else {
+        waveformDrawBars(context, peaks, width, height, ratio, progressX);
+    }
+
+    waveformUpdateAria(percent);
+}
+
+// draw the peaks as bars, centered vertically, with the bars to the left of
+// progressX in the progress color
+function waveformDrawBars(context, peaks, width, height, ratio, progressX) {
+    // the peaks cover the whole file, but only the part of the file that the
+    // track plays is shown (once we know how long the file is)
+    let first = 0;
+    let last = peaks.length;
+    if (audio.duration > 0) {
+        const range = getTrackRange();
+        first = Math.floor(range["start"] / audio.duration * peaks.length);
+        last = Math.ceil(range["end"] / audio.duration * peaks.length);
+        first = Math.max(0, Math.min(first, peaks.length - 1));
+        last = Math.max(first + 1, Math.min(last, peaks.length));
+    }
+
+    // scale the loudest peak to the full height
+    let maxPeak = 0;
+    for (let i=0; i < peaks.length; i++) {
+        maxPeak = Math.max(maxPeak, Math.abs(peaks[i]));
+    }
+    if (0 == maxPeak) {
+        maxPeak = 1;
+    }
+
+    const barWidth = Math.max(1, waveformOptions["barWidth"] * ratio);
+    const barStep = barWidth + (waveformOptions["barGap"] * ratio);
+    const bars = Math.max(1, Math.floor(width / barStep));
+    const peaksPerBar = (last - first) / bars;
+
+    for (let i=0; i < bars; i++) {
+        // use the loudest peak for the part of the file under the bar
+        const from = first + Math.floor(i * peaksPerBar);
+        const to =
+            Math.max(from + 1, first + Math.floor((i + 1) * peaksPerBar));
+        let peak = 0;
+        for (let j=from; j < Math.min(to, last); j++) {
+            peak = Math.max(peak, Math.abs(peaks[j]));
+        }
+
+        const x = i * barStep;
+        const barHeight = Math.max(ratio, peak / maxPeak * height);
+
+        context.fillStyle = (x < progressX) ?
+            waveformOptions["progressColor"] :
+            waveformOptions["color"];
+        context.fillRect(x, (height - barHeight) / 2, barWidth, barHeight);
+    }
+}
+
+// let screen readers know that the waveform is a slider, and where it's at
+function waveformUpdateAria(percent) {
+    const canvas = waveformOptions["canvas"];
+    const range = getTrackRange();
+    const length = range["end"] - range["start"];
+
+    canvas.setAttribute("aria-valuenow", Math.round(percent));
+    canvas.setAttribute("aria-valuetext",
+        secondsToDisplayTime(Math.round(length * percent / 100)) + " of " +
+        secondsToDisplayTime(Math.round(length)));
+}
+
+// convert the position of a pointer event into a percentage from 0-100 of
+// the width of the waveform
+function waveformEventToPercent(event) {
+    const rect = waveformOptions["canvas"].getBoundingClientRect();
+    if (! (rect.width > 0)) {
+        return 0;
+    }
+
+    const percent = (event.clientX - rect.left) / rect.width * 100;
+    return Math.max(0, Math.min(100, percent));
+}
+
+// start dragging on the waveform
+function waveformPointerDown(event) {
+    if ((null == playlist) || (0 != event.button)) {
+        return;
+    }
+
+    event.preventDefault();
+    waveformOptions["canvas"].setPointerCapture(event.pointerId);
+    waveformDragPercent = waveformEventToPercent(event);
+    waveformDraw();
+}
+
+// show where the waveform is being dragged to
+function waveformPointerMove(event) {
+    if (null == waveformDragPercent) {
+        return;
+    }
+
+    waveformDragPercent = waveformEventToPercent(event);
+    waveformDraw();
+}
+
+// seek to where the waveform was dragged to
+function waveformPointerUp(event) {
+    if (null == waveformDragPercent) {
+        return;
+    }
+
+    const percent = waveformEventToPercent(event);
+    waveformDragPercent = null;
+    seek(uiPercentToTime(percent));
+    waveformDraw();
+}
+
+// stop dragging without seeking
+function waveformPointerCancel() {
+    waveformDragPercent = null;
+    waveformDraw();
+}
+
+// seek with the arrow, Home and End keys
+function waveformKeyDown(event) {
+    if ((null == playlist) ||
+        event.ctrlKey || event.altKey || event.metaKey) {
+        return;
+    }
+
+    const seekOffset = waveformOptions["seekOffset"];
+    switch (event.key) {
+        case "ArrowLeft":
+        case "ArrowDown":
+            seekRelative(-seekOffset);
+            break;
+        case "ArrowRight":
+        case "ArrowUp":
+            seekRelative(seekOffset);
+            break;
+        case "Home":
+            seek(uiPercentToTime(0));
+            break;
+        case "End":
+            seek(uiPercentToTime(100));
+            break;
+        default:
+            return;
+    }
+
+    // don't let the key scroll the page (or trigger keyboard shortcuts)
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+// make a canvas work as the waveform seek bar
+function waveformAddCanvasListeners(canvas) {
+    canvas.addEventListener("pointerdown", waveformPointerDown);
+    canvas.addEventListener("pointermove", waveformPointerMove);
+    canvas.addEventListener("pointerup", waveformPointerUp);
+    canvas.addEventListener("pointercancel", waveformPointerCancel);
+    canvas.addEventListener("keydown", waveformKeyDown);
+
+    // make it a focusable slider for keyboard and screen reader users
+    canvas.setAttribute("role", "slider");
+    if (! canvas.hasAttribute("tabindex")) {
+        canvas.setAttribute("tabindex", "0");
+    }
+    if (! canvas.hasAttribute("aria-label")) {
+        canvas.setAttribute("aria-label", "Seek");
+    }
+    canvas.setAttribute("aria-valuemin", "0");
+    canvas.setAttribute("aria-valuemax", "100");
+
+    // dragging shouldn't scroll the page on touch screens
+    canvas.style.touchAction = "none";
+}
+
+// stop a canvas from working as the waveform seek bar
+function waveformRemoveCanvasListeners(canvas) {
+    canvas.removeEventListener("pointerdown", waveformPointerDown);
+    canvas.removeEventListener("pointermove", waveformPointerMove);
+    canvas.removeEventListener("pointerup", waveformPointerUp);
+    canvas.removeEventListener("pointercancel", waveformPointerCancel);
+    canvas.removeEventListener("keydown", waveformKeyDown);
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// HTML/CSS USER INTERFACE SECTION                                          //
+//                                                                          //
+// Everything in this section is related to the specifics of updating the   //
+// basic UI HTML/CSS interface elements for the audio player.               //
+//                                                                          //
+// These functions are called from other parts of the program, but will     //
+// only have an effect if the basic user interface HTML elements with       //
+// specific IDs are present.                                                //
+//////////////////////////////////////////////////////////////////////////////
+
+// find a basic UI element by its id
+//
+// if this instance has a container, the element is looked up inside of the
+// container, either by class name or by id. otherwise it is looked up by id
+// on the whole page. returns null if the element can't be found.
+function uiGetElement(id) {
+    if (null == uiContainer) {
+        return document.getElementById(id);
+    }
+
+    const container = (typeof uiContainer === "string") ?
+        document.querySelector(uiContainer) :
+        uiContainer;
+    if (null == container) {
+        return null;
+    }
+
+    return container.querySelector("." + id + ", #" + id);
+}
+
+// find this instance's container element, or return null if it doesn't
+// have one (or it can't be found)
+function uiGetContainer() {
+    return (typeof uiContainer === "string") ?
+        document.querySelector(uiContainer) :
+        uiContainer;
+}
+
+// find all of the basic UI elements that match a CSS selector, inside of
+// this instance's container if it has one, or on the whole page otherwise
+function uiGetElements(selector) {
+    const container = (null != uiContainer) ? uiGetContainer() : document;
+    if (null == container) {
+        return [];
+    }
+
+    return Array.from(container.querySelectorAll(selector));
+}
+
+// preload any of the navigation control images that are actually referenced
+// on the HTML page. this is an optimization, but also makes the player UI
+// more resilient when the user has intermittent connectivity, as we can
+// at least keep the state of the UI in sync with reality
+function uiPreloadImages() {
+    if (null == uiBaseImageUrl) {
+        return;
+    }
+
+    // play/pause button
+    const playPauseButtonImg =
+        uiGetElement(UI_PLAY_PAUSE_BUTTON_ID);
+    if (null != playPauseButtonImg) {
+        const playButtonImage = new Image();
+        playButtonImage.src = uiBaseImageUrl + UI_PLAY_IMG;
+        uiPreloadImageCache[UI_PLAY_IMG] = playButtonImage;
+
+        const pauseButtonImage = new Image();
+        pauseButtonImage.src = uiBaseImageUrl + UI_PAUSE_IMG;
+        uiPreloadImageCache[UI_PAUSE_IMG] = pauseButtonImage;
+    }
+
+    // prev button
+    const prevTrackButtonImg = uiGetElement(UI_PREV_TRACK_IMG_ID);
+    if (null != prevTrackButtonImg) {
+        const prevImage = new Image();
+        prevImage.src = uiBaseImageUrl + UI_PREV_IMG;
+        uiPreloadImageCache[UI_PREV_IMG] = prevImage;
+
+        const prevDisabledImage = new Image();
+        prevDisabledImage.src = uiBaseImageUrl + UI_PREV_DISABLED_IMG;
+        uiPreloadImageCache[UI_PREV_DISABLED_IMG] = prevDisabledImage;
+    }
+
+    // next button
+    const nextTrackButtonImg = uiGetElement(UI_NEXT_TRACK_IMG_ID);
+    if (null != nextTrackButtonImg) {
+        const nextImage = new Image();
+        nextImage.src = uiBaseImageUrl + UI_NEXT_IMG;
+        uiPreloadImageCache[UI_NEXT_IMG] = nextImage;
+
+        const nextDisabledImage = new Image();
+        nextDisabledImage.src = uiBaseImageUrl + UI_NEXT_DISABLED_IMG;
+        uiPreloadImageCache[UI_NEXT_DISABLED_IMG] = nextDisabledImage;
+    }
+
+    // mute button
+    const muteButtonImg = uiGetElement(UI_MUTE_BUTTON_ID);
+    if (null != muteButtonImg) {
+        const volumeImage = new Image();
+        volumeImage.src = uiBaseImageUrl + UI_VOLUME_IMG;
+        uiPreloadImageCache[UI_VOLUME_IMG] = volumeImage;
+
+        const muteImage = new Image();
+        muteImage.src = uiBaseImageUrl + UI_MUTE_IMG;
+        uiPreloadImageCache[UI_MUTE_IMG] = muteImage;
+    }
+}
+
+// updates the play/pause button based on the current audio playback state
+function uiUpdatePlayPauseButton() {
+    const playPauseButtonImg =
+        uiGetElement(UI_PLAY_PAUSE_BUTTON_ID);
+    if (null == playPauseButtonImg) {
+        return;
+    }
+
+    // tell assistive technology whether the player is playing,
+    // and describe the symbol that is being shown
+    uiGetControl(playPauseButtonImg).setAttribute(
+        "aria-pressed", playing ? "true" : "false");
+    playPauseButtonImg.alt = playing ? "Pause" : "Play";
+
+    // if we don't have a base image URL, we can't load images
+    if (null == uiBaseImageUrl) {
+        return;
+    }
+
+    // this toggle follows the standard convention, where the symbol on
+    // the button at any moment shows what will happen if you press the
+    // button (which is the opposite of the current state)
+    //
+    // when the player is playing, the pause symbol will be displayed
+    // when the player is paused, the play symbol will be displayed
+
+    // the player is playing
+    if (playing) {
+        // if we're not sure if the pause symbol is currently displayed
+        // show the pause symbol
+        playPauseButtonImg.src = uiBaseImageUrl + UI_PAUSE_IMG;
+
+    // the player is paused
+    } else {
+        // if we're not sure if the play symbol is currently displayed
+        // show the play symbol
+        playPauseButtonImg.src = uiBaseImageUrl + UI_PLAY_IMG;
+    }
+}
+
+// updates the volume slider and mute button to match the current
+// volume and mute settings
+function uiUpdateVolumeControls() {
+    // the volume slider shows 0 while the audio is muted
+    const volumeSlider = uiGetElement(UI_VOLUME_ID);
+    if (null != volumeSlider) {
+        volumeSlider.value = muted ? 0 : (volume * 100);
+    }
+
+    const muteButtonImg = uiGetElement(UI_MUTE_BUTTON_ID);
+    if (null == muteButtonImg) {
+        return;
+    }
+
+    // tell assistive technology whether the audio is muted
+    uiGetControl(muteButtonImg).setAttribute(
+        "aria-pressed", muted ? "true" : "false");
+
+    // if we don't have a base image URL, we can't load images
+    if (null == uiBaseImageUrl) {
+        return;
+    }
+
+    // unlike the play/pause button, the mute button shows the current
+    // state, which is the usual convention for speaker icons
+    if (muted) {
+        muteButtonImg.src = uiBaseImageUrl + UI_MUTE_IMG;
+    } else {
+        muteButtonImg.src = uiBaseImageUrl + UI_VOLUME_IMG;
+    }
+}
+
+// calculates elapsed/remaining time based on current audio playback,
+// and updates HTML UI elements to match
+function uiUpdateStatus() {
+    // if the user is not currently moving the time slider around,
+    // update the elapsed/remaining time counter HTML display elements
+    //
+    // we round both times to integers here, so that the
+    // elapsed/remaining times change simultaneously in the display
+    if (! uiUserIsAdjustingTimeSlider) {
+        // times are relative to the part of the file that the track plays
+        const range = getTrackRange();
+        const intDuration =
+            Math.round((range["end"] - range["start"]) || 0);
+
+        // use the deferred seek time if one is set,
+        // otherwise use the actual current time
+        const currentTime =
+            (null != deferredInitialSeekTime) ?
+            deferredInitialSeekTime :
+            audio.currentTime;
+        const intCurrentTime =
+            Math.round(Math.max(0, currentTime - range["start"]));
+
+        const intRemaining =
+            uiRemainingTime((intDuration * -1) + intCurrentTime);
+
+        uiUpdateTimeDisplay(
+            secondsToDisplayTime(intCurrentTime),
+            secondsToDisplayTime(intRemaining),
+            secondsToDisplayTime(intDuration)
+        );
+    }
+}
+
+// converts remaining track time into the remaining time to display,
+// which is in real time at the current playback rate if
+// enableRateAdjustedRemainingTime() was called
+function uiRemainingTime(remaining) {
+    if (rateAdjustedRemainingTime) {
+        return Math.round(remaining / playbackRate);
+    }
+    return remaining;
+}
+
+// updates the playback rate control to show the current playback rate
+//
+// the control can either be a SELECT element with one OPTION per rate,
+// or any other element (e.g. a button or link), in which case its text is
+// replaced with the current rate (e.g. "1.5x")
+function uiUpdatePlaybackRate() {
+    const playbackRateElement = uiGetElement(UI_PLAYBACK_RATE_ID);
+    if (null == playbackRateElement) {
+        return;
+    }
+
+    if ("SELECT" == playbackRateElement.tagName) {
+        playbackRateElement.value = String(playbackRate);
+    } else {
+        playbackRateElement.textContent = playbackRate + "x";
+    }
+}
+
+// updates the elapsed/remaining time counter HTML display elements
+// accepts elapsed/remaining time strings that will be displayed
+// without modification
+function uiUpdateTimeDisplay(elapsed, remaining, duration) {
+    const elapsedElement = uiGetElement(UI_TIME_ELAPSED_ID);
+    const remainingElement = uiGetElement(UI_TIME_REMAINING_ID);
+    const durationElement = uiGetElement(UI_TIME_DURATION_ID);
+
+    if (null != elapsedElement) {
+        elapsedElement.innerHTML = elapsed;
+    }
+
+    if (null != remainingElement) {
+        remainingElement.innerHTML = remaining;
+    }
+
+    if (null != durationElement) {
+        durationElement.innerHTML = duration;
+    }
+
+    // let screen readers announce the slider position as a time,
+    // instead of a percentage
+    const playbackPosition = uiGetElement(UI_PLAYBACK_POSITION_ID);
+    if (null != playbackPosition) {
+        playbackPosition.setAttribute(
+            "aria-valuetext", elapsed + " of " + duration);
+    }
+}
+
+// update the prev/next track skip button HTML UI elements
+//
+// disables the prev track button when the player is on the first track,
+// and disables the next track button when the player is on the last track,
+// unless the whole playlist is being repeated
+//
+// first and last refer to the play order, which is different from the
+// playlist order when shuffle is enabled
+function uiUpdateTrackSkipButtons() {
+    // nothing to do until a playlist has been loaded
+    if (null == playlist) {
+        return;
+    }
+
+    // under repeat-all, the playlist has no ends
+    const wrapAround = ("all" == repeatMode);
+
+    // when stepping through chapters, the buttons can also go to the
+    // previous/next chapter of the current track
+    const chapters = getTrackChapters(playlist[playlistIndex]);
+    const hasPrevChapter = stepThroughChapters &&
+        (currentChapterIndex > 0);
+    const hasNextChapter = stepThroughChapters &&
+        (null != currentChapterIndex) &&
+        (currentChapterIndex < (chapters.length - 1));
+
+    const prevTrackLink = uiGetElement(UI_PREV_TRACK_LINK_ID);
+    const nextTrackLink = uiGetElement(UI_NEXT_TRACK_LINK_ID);
+
+    const prevTrackImg = uiGetElement(UI_PREV_TRACK_IMG_ID);
+    const nextTrackImg = uiGetElement(UI_NEXT_TRACK_IMG_ID);
+
+    // if we're on the first track, disable the prev track button
+    if ((0 == playOrderPosition) && (! wrapAround) && (! hasPrevChapter)) {
+        uiSetControlEnabled(prevTrackLink, false);
+        if (null != prevTrackImg) {
+            if (null != uiBaseImageUrl) {
+                prevTrackImg.src = uiBaseImageUrl + UI_PREV_DISABLED_IMG;
+            }
+        }
+
+    // if we're not on the first track, enable the prev track button
+    } else {
+        uiSetControlEnabled(prevTrackLink, true);
+        if (null != prevTrackImg) {
+            if (null != uiBaseImageUrl) {
+                prevTrackImg.src = uiBaseImageUrl + UI_PREV_IMG;
+            }
+        }
+    }
+
+    // if we're on the last track, disable the next track button
+    if ((playOrderPosition >= (playOrder.length - 1)) &&
+        (! wrapAround) &&
+        (! hasNextChapter)) {
+        uiSetControlEnabled(nextTrackLink, false);
+        if (null != nextTrackImg) {
+            if (null != uiBaseImageUrl) {
+                nextTrackImg.src = uiBaseImageUrl + UI_NEXT_DISABLED_IMG;
+            }
+        }
+
+    // if we're not on the last track, enable the next track button
+    } else {
+        uiSetControlEnabled(nextTrackLink, true);
+        if (null != nextTrackImg) {
+            if (null != uiBaseImageUrl) {
+                nextTrackImg.src = uiBaseImageUrl + UI_NEXT_IMG;
+            }
+        }
+    }
+}
+
+// enable or disable a basic UI control (e.g. the prev/next track links)
+//
+// a disabled control ignores the mouse, is skipped when tabbing through the
+// page, and is announced as disabled by assistive technology
+function uiSetControlEnabled(control, enabled) {
+    if (null == control) {
+        return;
+    }
+
+    control.style["pointer-events"] = enabled ? "auto" : "none";
+    control.setAttribute("aria-disabled", enabled ? "false" : "true");
+    control.setAttribute("tabindex", enabled ? "0" : "-1");
+}
+
+// find the clickable control for a basic UI image
+//
+// this is the link or button wrapped around the image if there is one,
+// otherwise the image itself
+function uiGetControl(element) {
+    const parent = element.parentElement;
+    if ((null != parent) &&
+        (("A" == parent.tagName) || ("BUTTON" == parent.tagName))) {
+        return parent;
+    }
+    return element;
+}
+
+// give a basic UI control an accessible name, and let keyboard users
+// focus it and press it with Enter or Space like a real button
+//
+// labels that are already set in the HTML are left alone, and a null label
+// leaves the control to be named by its own text
+function uiMakeAccessibleButton(control, label) {
+    if (null == control) {
+        return;
+    }
+
+    if ((null != label) && (! control.hasAttribute("aria-label"))) {
+        control.setAttribute("aria-label", label);
+    }
+
+    // real buttons already do everything else
+    if ("BUTTON" == control.tagName) {
+        return;
+    }
+
+    if (! control.hasAttribute("role")) {
+        control.setAttribute("role", "button");
+    }
+    if (! control.hasAttribute("tabindex")) {
+        control.setAttribute("tabindex", "0");
+    }
+
+    control.addEventListener("keydown", (event) => {
+        if ((" " != event.key) && ("Enter" != event.key)) {
+            return;
+        }
+
+        // keep Space from scrolling the page, and keep keyboard shortcuts
+        // from handling the same key press again
+        event.preventDefault();
+
+        if ("true" != control.getAttribute("aria-disabled")) {
+            control.click();
+        }
+    });
+}
+
+// show tick marks for the chapters of the current track on the playback
+// position slider, using a datalist element next to the slider
+//
+// the tick marks are removed for tracks without chapters, and until the
+// duration of the track is known
+function uiUpdateChapterMarks() {
+    const playbackPosition = uiGetElement(UI_PLAYBACK_POSITION_ID);
+    if (null == playbackPosition) {
+        return;
+    }
+
+    const track = (null != playlist) ? playlist[playlistIndex] : null;
+    const chapters = getTrackChapters(track);
+    let chapterMarks = document.getElementById(uiChapterMarksId);
+
+    // the slider only covers the part of the file that the track plays
+    const range = getTrackRange();
+
+    if ((0 == chapters.length) || (! (range["end"] > range["start"]))) {
+        playbackPosition.removeAttribute("list");
+        if (null != chapterMarks) {
+            chapterMarks.replaceChildren();
+        }
+        return;
+    }
+
+    if (null == chapterMarks) {
+        chapterMarks = document.createElement("datalist");
+        chapterMarks.id = uiChapterMarksId;
+        playbackPosition.after(chapterMarks);
+    }
+
+    // the slider goes from 0 to 100, so the tick marks are percentages
+    // (chapters outside of the part of the file that plays are left out)
+    const options = chapters.filter((chapter) => {
+        return (chapter["start"] >= range["start"]) &&
+            (chapter["start"] <= range["end"]);
+    }).map((chapter) => {
+        const option = document.createElement("option");
+        option.value = uiTimeToPercent(chapter["start"]);
+        option.label = chapter["title"] || "";
+        return option;
+    });
+    chapterMarks.replaceChildren(...options);
+
+    playbackPosition.setAttribute("list", uiChapterMarksId);
+}
+
+// convert a time in the current track's audio file into a playback position
+// slider percentage from 0-100, where the slider only covers the part of
+// the file that the track plays
+function uiTimeToPercent(seconds) {
+    const range = getTrackRange();
+    const length = range["end"] - range["start"];
+    if (! (length > 0)) {
+        return 0;
+    }
+
+    const percent = (seconds - range["start"]) / length * 100;
+    return Math.max(0, Math.min(100, percent));
+}
+
+// convert a playback position slider percentage from 0-100 into a time in
+// the current track's audio file
+function uiPercentToTime(percent) {
+    const range = getTrackRange();
+    const length = range["end"] - range["start"];
+    if (! (length > 0)) {
+        return range["start"];
+    }
+
+    return range["start"] + (length * percent / 100);
+}
+
+// manually set the playback position on the slider bar
+// accepts a percentage from 0-100
+function uiSetPlaybackPosition(percent) {
+    const playbackPosition = uiGetElement(UI_PLAYBACK_POSITION_ID);
+    if (null != playbackPosition) {
+        playbackPosition.value = percent;
+    }
+}
+
+// show fields of the current track in the elements that ask for them with
+// a data-diyaudio-field attribute
+//
+// the field is shown as the text of the element, or as the value of the
+// attribute named by data-diyaudio-attr (e.g. the src of an image). when
+// the track doesn't have the field, the data-diyaudio-fallback value is
+// used instead, or the text is emptied and the attribute is removed.
+function uiUpdateTrackFields() {
+    if (null == playlist) {
+        return;
+    }
+
+    const track = playlist[playlistIndex];
+    const elements = uiGetElements("[" + UI_FIELD_ATTRIBUTE + "]");
+
+    for (const element of elements) {
+        const field = element.getAttribute(UI_FIELD_ATTRIBUTE);
+        const attr = element.getAttribute(UI_FIELD_ATTR_ATTRIBUTE);
+
+        let value = track[field];
+        if ((null == value) || ("" === value) ||
+            ((null != attr) && (! uiIsSafeFieldValue(attr, value)))) {
+            value = element.getAttribute(UI_FIELD_FALLBACK_ATTRIBUTE);
+        }
+
+        // text is always inserted as text, never as HTML
+        if ((null == attr) || ("" == attr)) {
+            element.textContent = (null != value) ? String(value) : "";
+            continue;
+        }
+
+        // never let track fields write event handler attributes
+        if (/^on/i.test(attr)) {
+            continue;
+        }
+
+        if (null != value) {
+            element.setAttribute(attr, String(value));
+        } else {
+            element.removeAttribute(attr);
+        }
+    }
+}
+
+// can this track field value be copied into the given attribute?
+//
+// track fields may come from a remote podcast feed, so URL attributes only
+// get URLs that the browser resolves to an allowed protocol (the browser
+// ignores tabs, newlines and leading control characters in URLs, so
+// "java\tscript:" is a javascript: URL too)
+function uiIsSafeFieldValue(attr, value) {
+    const name = attr.toLowerCase();
+    if (! UI_FIELD_URL_ATTRIBUTES.includes(name)) {
+        return true;
+    }
+
+    let url = null;
+    try {
+        url = new URL(String(value), document.baseURI);
+    } catch (error) {
+        return false;
+    }
+
+    const protocols = ("href" == name) ?
+        UI_FIELD_LINK_PROTOCOLS :
+        UI_FIELD_URL_PROTOCOLS;
+    return protocols.includes(url.protocol);
+}
+
+// show the player state as a CSS class (e.g. diy-state-buffering) on this
+// instance's container, or on the diyAudioPlayer element if there is no
+// container, so the page can style it (e.g. show a spinner while loading)
+function uiUpdateStateClasses() {
+    const playerElement = (null != uiContainer) ?
+        uiGetContainer() :
+        document.getElementById(UI_PLAYER_ID);
+    if (null == playerElement) {
+        return;
+    }
+
+    for (const state of PLAYER_STATES) {
+        playerElement.classList.toggle(
+            UI_STATE_CLASS_PREFIX + state, state == playerState);
+    }
+}
+
+// draw the built-in track list, with one clickable item for each track in
+// the playlist, replacing whatever was in the track list element before
+function uiRenderPlaylist() {
+    const playlistElement = uiGetElement(UI_PLAYLIST_ID);
+    if (null == playlistElement) {
+        return;
+    }
+
+    if (null == playlist) {
+        playlistElement.replaceChildren();
+        return;
+    }
+
+    // list elements get list items, and anything else gets plain blocks
+    const itemTagName =
+        (("UL" == playlistElement.tagName) ||
+         ("OL" == playlistElement.tagName)) ?
+        "li" :
+        "div";
+
+    const items = playlist.map((track, index) => {
+        const link = document.createElement("a");
+        link.className = UI_PLAYLIST_LINK_CLASS;
+        link.style["cursor"] = "pointer";
+        uiFillPlaylistLink(link, track, index);
+
+        link.addEventListener("click", (event) => {
+            event.preventDefault();
+            playTrack(index);
+        });
+
+        // the text of the item is its accessible name
+        uiMakeAccessibleButton(link, null);
+
+        const item = document.createElement(itemTagName);
+        item.className = UI_PLAYLIST_ITEM_CLASS;
+        item.appendChild(link);
+        return item;
+    });
+    playlistElement.replaceChildren(...items);
+
+    uiUpdatePlaylistItems();
+}
+
+// fill in the content of one track list item, using the track list
+// template
+//
+// string templates and plain text from template functions are inserted as
+// text, never as HTML, so track fields can't inject markup into the page
+function uiFillPlaylistLink(link, track, index) {
+    if (typeof uiPlaylistTemplate === "function") {
+        const content = uiPlaylistTemplate(track, index);
+        if ((typeof Node !== "undefined") && (content instanceof Node)) {
+            link.appendChild(content);
+        } else if (null != content) {
+            link.textContent = String(content);
+        }
+    } else if (typeof uiPlaylistTemplate === "string") {
+        link.textContent =
+            uiPlaylistTemplate.replace(/\{(\w+)\}/g, (match, key) => {
+                return (null != track[key]) ? String(track[key]) : "";
+            });
+    } else {
+        link.textContent = uiDefaultPlaylistText(track, index);
+    }
+}
+
+// the default text for a track list item: the title and artist of the
+// track if it has them, or else the file name from the track URL
+function uiDefaultPlaylistText(track, index) {
+    if (null != track["title"]) {
+        if (null != track["artist"]) {
+            return track["title"] + " - " + track["artist"];
+        }
+        return String(track["title"]);
+    }
+
+    const url = getTrackSources(track)[0]["url"];
+    const fileName = String(url).split(/[?#]/)[0].split("/").pop();
+    if ("" == fileName) {
+        return "Track " + (index + 1);
+    }
+
+    try {
+        return decodeURIComponent(fileName);
+    } catch (error) {
+        return fileName;
+    }
+}
+
+// mark the current track in the built-in track list, and show whether it
+// is playing, and which tracks failed to play
+function uiUpdatePlaylistItems() {
+    const playlistElement = uiGetElement(UI_PLAYLIST_ID);
+    if ((null == playlistElement) || (null == playlist)) {
+        return;
+    }
+
+    const items = playlistElement.children;
+    for (let i=0; (i < items.length) && (i < playlist.length); i++) {
+        const item = items[i];
+        const current = (i == playlistIndex);
+
+        item.classList.toggle(UI_PLAYLIST_CURRENT_CLASS, current);
+        item.classList.toggle(UI_PLAYLIST_PLAYING_CLASS, current && playing);
+        item.classList.toggle(UI_PLAYLIST_ERROR_CLASS,
+            failedTracks.has(playlist[i]));
+
+        const link = item.querySelector("." + UI_PLAYLIST_LINK_CLASS);
+        if (null == link) {
+            continue;
+        }
+        if (current) {
+            link.setAttribute("aria-current", "true");
+        } else {
+            link.removeAttribute("aria-current");
+        }
+    }
+}
+
+// add bidirectional event listeners to link up the Audio playback object
+// with the playback position slider HTML element and time status fields
+function uiAddEventListeners() {
+    // get a reference to the slider navigation bar
+    const playbackPosition = uiGetElement(UI_PLAYBACK_POSITION_ID);
+
+    // get a reference to the play/pause button
+    const playPauseButtonImg =
+        uiGetElement(UI_PLAY_PAUSE_BUTTON_ID);
+
+    //
+    // ACCESSIBILITY
+    //
+
+    // label the basic UI controls, and make them usable from the keyboard
+    if (null != playPauseButtonImg) {
+        uiMakeAccessibleButton(uiGetControl(playPauseButtonImg), "Play");
+    }
+
+    const prevTrackImg = uiGetElement(UI_PREV_TRACK_IMG_ID);
+    if (null != prevTrackImg) {
+        prevTrackImg.alt = "Previous track";
+    }
+    uiMakeAccessibleButton(
+        uiGetElement(UI_PREV_TRACK_LINK_ID), "Previous track");
+
+    const nextTrackImg = uiGetElement(UI_NEXT_TRACK_IMG_ID);
+    if (null != nextTrackImg) {
+        nextTrackImg.alt = "Next track";
+    }
+    uiMakeAccessibleButton(
+        uiGetElement(UI_NEXT_TRACK_LINK_ID), "Next track");
+
+    const muteButtonImg = uiGetElement(UI_MUTE_BUTTON_ID);
+    if (null != muteButtonImg) {
+        muteButtonImg.alt = "Mute";
+        uiMakeAccessibleButton(uiGetControl(muteButtonImg), "Mute");
+    }
+
+    if ((null != playbackPosition) &&
+        (! playbackPosition.hasAttribute("aria-label"))) {
+        playbackPosition.setAttribute("aria-label", "Playback position");
+    }
+
+    //
+    // AUDIO EVENT LISTENERS
+    //
+
+    // when an audio track loads enough to read the metadata
+    //
+    // this listener is only added if we have at least one of the playback
+    // position slider or the play/pause button
+    if ((null != playbackPosition) || (null != playPauseButtonImg)) {
+        listenToAudio("loadedmetadata", () => {
+            // reset UI playback position
+            // (or move it to the deferred seek time, if there is one)
+            let percent = 0;
+            if (null != deferredInitialSeekTime) {
+                percent = uiTimeToPercent(deferredInitialSeekTime);
+            }
+            uiSetPlaybackPosition(percent);
+
+            // update the UI status
+            uiUpdateStatus();
+
+            // now that we know the duration, we can place the chapter marks
+            uiUpdateChapterMarks();
+        });
+    }
+
+    // when an audio track is playing, update the slider navigation bar,
+    // unless the user is in the middle of adjusting it
+    //
+    // this listener is only added if we have the playback position slider
+    if (null != playbackPosition) {
+        listenToAudio("timeupdate", () => {
+            if (! uiUserIsAdjustingTimeSlider) {
+                playbackPosition.value = uiTimeToPercent(audio.currentTime);
+            }
+        });
+    }
+
+    //
+    // PLAYBACK POSITION SLIDER EVENT LISTENERS
+    //
+
+    // every event listener in this block is set up on the playback position
+    // slider UI element, but only if it is present
+    if (null != playbackPosition) {
+        // when the user changes the position of the slider navigation bar,
+        // seek to the time they selected
+        playbackPosition.addEventListener("change", () => {
+            // calculate the seconds for the current audio track,
+            // from the slider bar position
+            const seconds = uiPercentToTime(playbackPosition.value);
+
+            // seek to the requested part of the audio track
+            seek(seconds, false);
+        });
+
+        // when the user is dragging the slider navigation bar,
+        // remember that so the audio player doesn't also try to update it
+        // while it's playing
+        playbackPosition.addEventListener("pointerdown", () => {
+            uiUserIsAdjustingTimeSlider = true;
+        });
+
+        // when the user stops dragging the slider navigation bar,
+        // set things back to normal
+        playbackPosition.addEventListener("pointerup", () => {
+            uiUserIsAdjustingTimeSlider = false;
+        });
+
+        // if the user is dragging the slider navigation bar around,
+        // update the elapsed/remaining time displays as they drag it around
+        //
+        // we round the elapsed/remaining times together here,
+        // so that they move in sync with each other as whole seconds
+        playbackPosition.addEventListener("input", () => {
+            // calculate the percentage from the slider bar position
+            const percent = playbackPosition.value / 100;
 
-            // we were on the last track, and it just ended
-            } else {
-                // pause the audio player
-                pause();
+            // calculate duration
+            // (of the part of the file that the track plays)
+            const range = getTrackRange();
+            const intDuration =
+                Math.round((range["end"] - range["start"]) || 0);
 
-                // go back to the first track, but don't start playback
-                playlistIndex = 0;
-                audio.src = playlist[playlistIndex]["url"];
+            // calculate the seconds for the current audio track,
+            // by percentage
+            const intSeconds = Math.round(intDuration * percent);
 
-                // clear deferred variables from previous playlist
-                deferredAudioSrc = null;
-                deferredInitialSeekTime = null;
+            // calculate remaining time for the current track,
+            // based on current position
+            const remaining = uiRemainingTime((intDuration * -1) + intSeconds);
 
-                // reset playback position
-                uiSetPlaybackPosition(0);
+            // update the elapsed/remaining time displays
+            uiUpdateTimeDisplay(
+                secondsToDisplayTime(intSeconds),
+                secondsToDisplayTime(remaining),
+                secondsToDisplayTime(intDuration)
+            );
+        });
+    }
 
-                // update the track skip buttons,
-                // if we've landed at either end of the playlist
-                uiUpdateTrackSkipButtons();
+    //
+    // PLAYBACK RATE EVENT LISTENERS
+    //
+
+    // get a reference to the playback rate control
+    const playbackRateElement = uiGetElement(UI_PLAYBACK_RATE_ID);
+
+    // a SELECT element sets the rate the user picked,
+    // and anything else cycles through the playback rate options
+    if (null != playbackRateElement) {
+        if ("SELECT" == playbackRateElement.tagName) {
+            playbackRateElement.addEventListener("change", () => {
+                setPlaybackRate(parseFloat(playbackRateElement.value));
+            });
+        } else {
+            playbackRateElement.addEventListener("click", () => {
+                cyclePlaybackRate();
+            });
+            uiMakeAccessibleButton(playbackRateElement, "Playback speed");
+        }
+    }
+
+    //
+    // VOLUME SLIDER EVENT LISTENERS
+    //
+
+    // get a reference to the volume slider
+    const volumeSlider = uiGetElement(UI_VOLUME_ID);
+
+    // when the user moves the volume slider, change the volume to match
+    //
+    // moving the slider also unmutes the audio, since the user clearly
+    // wants to hear something
+    if (null != volumeSlider) {
+        if (! volumeSlider.hasAttribute("aria-label")) {
+            volumeSlider.setAttribute("aria-label", "Volume");
+        }
+
+        volumeSlider.addEventListener("input", () => {
+            const level = Math.min(1, Math.max(0, volumeSlider.value / 100));
 
-                // call user-defined function
-                handleUdfTrackChange(playlistIndex);
+            if (muted && (level > 0)) {
+                muted = false;
             }
+            setVolume(level);
+        });
+    }
 
-        // if playback was paused outside of our API
-        // (e.g. from an iPhone controller on the lock screen)
-        } else if (audio.paused) {
-            // reflect reality
-            pause();
+    //
+    // TRACK LIST EVENT LISTENERS
+    //
+
+    // keep the built-in track list in sync with the playlist, and with the
+    // state of the player (track changes are handled by emitTrackChange())
+    if (null != uiGetElement(UI_PLAYLIST_ID)) {
+        on("playlist-loaded", uiRenderPlaylist);
+        on("playlist-changed", uiRenderPlaylist);
+        for (const eventName of ["play", "pause", "stop", "error"]) {
+            on(eventName, uiUpdatePlaylistItems);
         }
+        listenToAudio("playing", uiUpdatePlaylistItems);
+    }
+}
 
-        // update the elapsed/remaining/duration time counter
-        // HTML display elements
-        uiUpdateStatus();
+//////////////////////////////////////////////////////////////////////////////
+// INSTANCE EXPORTS                                                         //
+//////////////////////////////////////////////////////////////////////////////
 
-    // if the audio player is not supposed to be playing
-    } else {
-        // but it's actually playing
-        if (! audio.paused) {
-            // reflect reality
-            play();
+instance.init                       = init;
+instance.loadPlaylist               = loadPlaylist;
+instance.loadPlaylistFromUrl        = loadPlaylistFromUrl;
+instance.loadPodcastFeed            = loadPodcastFeed;
+instance.initFromDom                = initFromDom;
+instance.setBaseImageUrl            = setBaseImageUrl;
+instance.setPlaylistTemplate        = setPlaylistTemplate;
+instance.play                       = play;
+instance.stop                       = stop;
+instance.pause                      = pause;
+instance.playPause                  = playPause;
+instance.isPlaying                  = isPlaying;
+instance.getState                   = getState;
+instance.seek                       = seek;
+instance.setLoop                    = setLoop;
+instance.clearLoop                  = clearLoop;
+instance.getLoop                    = getLoop;
+instance.prevTrack                  = prevTrack;
+instance.nextTrack                  = nextTrack;
+instance.playTrack                  = playTrack;
+instance.getCurrentPlaylistIndex    = getCurrentPlaylistIndex;
+instance.getCurrentSource           = getCurrentSource;
+instance.getCurrentChapter          = getCurrentChapter;
+instance.nextChapter                = nextChapter;
+instance.prevChapter                = prevChapter;
+instance.playChapter                = playChapter;
+instance.setStepThroughChapters     = setStepThroughChapters;
+instance.getStepThroughChapters     = getStepThroughChapters;
+instance.secondsToDisplayTime       = secondsToDisplayTime;
+instance.setNoTimeDisplay           = setNoTimeDisplay;
+instance.enableDisplayTimeZeroPad   = enableDisplayTimeZeroPad;
+instance.getAudio                   = getAudio;
+instance.registerPlayHandler        = registerPlayHandler;
+instance.registerPauseHandler       = registerPauseHandler;
+instance.registerStopHandler        = registerStopHandler;
+instance.registerTrackChangeHandler = registerTrackChangeHandler;
+instance.on                         = on;
+instance.off                        = off;
+instance.once                       = once;
+instance.setRepeatMode              = setRepeatMode;
+instance.getRepeatMode              = getRepeatMode;
+instance.setShuffle                 = setShuffle;
+instance.getShuffle                 = getShuffle;
+instance.getPlayOrder               = getPlayOrder;
+instance.addTrack                   = addTrack;
+instance.removeTrack                = removeTrack;
+instance.moveTrack                  = moveTrack;
+instance.playNext                   = playNext;
+instance.clearQueue                 = clearQueue;
+instance.setGapless                 = setGapless;
+instance.getGapless                 = getGapless;
+instance.setCrossfade               = setCrossfade;
+instance.getCrossfade               = getCrossfade;
+instance.setPlaybackFade            = setPlaybackFade;
+instance.getPlaybackFade            = getPlaybackFade;
+instance.setSleepTimer              = setSleepTimer;
+instance.cancelSleepTimer           = cancelSleepTimer;
+instance.getSleepTimerRemaining     = getSleepTimerRemaining;
+instance.enableMediaSession         = enableMediaSession;
+instance.setVolume                  = setVolume;
+instance.getVolume                  = getVolume;
+instance.mute                       = mute;
+instance.unmute                     = unmute;
+instance.toggleMute                 = toggleMute;
+instance.isMuted                    = isMuted;
+instance.setPlaybackRate            = setPlaybackRate;
+instance.getPlaybackRate            = getPlaybackRate;
+instance.setPlaybackRateOptions     = setPlaybackRateOptions;
+instance.cyclePlaybackRate          = cyclePlaybackRate;
+instance.setPreservesPitch          = setPreservesPitch;
+instance.getPreservesPitch          = getPreservesPitch;
+instance.enableRateAdjustedRemainingTime =
+    enableRateAdjustedRemainingTime;
+instance.enablePersistence          = enablePersistence;
+instance.enableKeyboardShortcuts    = enableKeyboardShortcuts;
+instance.setErrorPolicy             = setErrorPolicy;
+instance.enableVisualizer           = enableVisualizer;
+instance.enableWaveformSeekBar      = enableWaveformSeekBar;
+instance.setCrossOrigin             = setCrossOrigin;
+instance.setReplayGain              = setReplayGain;
+instance.setLimiter                 = setLimiter;
+instance.setEqualizer               = setEqualizer;
+instance.getEqualizer               = getEqualizer;
+
+playerInstances.push(instance);
+
+return instance;
+
+// END PLAYER INSTANCE
+}
+
+//////////////////////////////////////////////////////////////////////////////
+// NAMESPACE FUNCTIONS                                                      //
+//////////////////////////////////////////////////////////////////////////////
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Create a new, independent player instance                                //
+//                                                                          //
+// The returned object has all of the same public functions as the global   //
+// diyaudioplayer namespace (play(), pause(), nextTrack(), etc.), but they  //
+// only control the new instance.                                           //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   userPlaylist (optional)                                                //
+//     If provided, the new instance is initialized with this playlist,     //
+//     exactly as if init(userPlaylist) had been called on it. Otherwise,   //
+//     call init() on the returned instance yourself once the page loads.   //
+//                                                                          //
+//   options (optional)                                                     //
+//     Object with any of the following keys:                               //
+//       container, baseImageUrl, pauseOthers                               //
+//     See the PLAYER INSTANCE section for details.                         //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   const podcast = diyaudioplayer.create(podcastPlaylist, {               //
+//       "container": document.getElementById("podcastPlayer"),             //
+//       "baseImageUrl": "/audionav/",                                      //
+//       "pauseOthers": true                                                //
+//   });                                                                    //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function create(userPlaylist, options) {
+    const player = createPlayer(options);
+
+    if (undefined !== userPlaylist) {
+        player.init(userPlaylist);
+    }
+
+    return player;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Returns the default player instance, which is the one controlled by the  //
+// global diyaudioplayer.* functions                                        //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function getDefaultPlayer() {
+    return defaultPlayer;
+}
+
+//////////////////////////////////////////////////////////////////////////////
+//                                                                          //
+// Parses the text of a playlist file into a playlist array                 //
+//                                                                          //
+// Supports extended M3U/M3U8 (including #EXTINF durations and titles),     //
+// PLS, XSPF and JSPF playlists. Each track becomes an object with a "url"  //
+// entry, plus any of "title", "artist", "album", "duration" (in seconds)   //
+// and "image" entries that the playlist file provides, which is the same   //
+// shape that loadPlaylist() accepts.                                       //
+//                                                                          //
+// Arguments                                                                //
+//                                                                          //
+//   text (required)                                                        //
+//     The contents of the playlist file, as a string                       //
+//                                                                          //
+//   format (optional)                                                      //
+//     One of "m3u", "m3u8", "pls", "xspf" or "jspf". If not given, the     //
+//     format is detected from the text.                                    //
+//                                                                          //
+//   baseUrl (optional)                                                     //
+//     URL that relative track URLs are resolved against, which is usually  //
+//     the URL of the playlist file. If not given, track URLs are returned  //
+//     exactly as they appear in the playlist file.                         //
+//                                                                          //
+// Returns                                                                  //
+//                                                                          //
+//   Array of playlist objects. Throws an Error if the text can't be        //
+//   parsed, with a lineNumber property when the line is known.             //
+//                                                                          //
+// Example:                                                                 //
+//                                                                          //
+//   const playlist = diyaudioplayer.parsePlaylist(m3uText, "m3u",          //
+//       "https://example.com/mp3/album.m3u");                              //
+//                                                                          //
+//////////////////////////////////////////////////////////////////////////////
+
+function parsePlaylist(text, format, baseUrl) {
+    if (typeof text !== "string") {
+        throw new Error("playlist text must be a string");
+    }
+
+    // ignore a leading byte order mark
+    if (text.startsWith("\uFEFF")) {
+        text = text.substring(1);
+    }
+
+    if (null == format) {
+        format = playlistFileDetectFormat(text);
+    }
+    format = String(format).toLowerCase();
+
+    switch (format) {
+        case "m3u":
+        case "m3u8":
+            return playlistFileParseM3u(text, baseUrl);
+        case "pls":
+            return playlistFileParsePls(text, baseUrl);
+        case "xspf":
+            return playlistFileParseXspf(text, baseUrl);
+        case "jspf":
+            return playlistFileParseJspf(text, baseUrl);
+        default:
+            throw new Error("unsupported playlist format: " + format +
+                " (expected one of " + PLAYLIST_FORMATS.join(", ") + ")");
+    }
+}
+
+// get the AudioContext shared by every player instance, creating it if
+// necessary
+//
+// returns null if the browser doesn't support Web Audio
+function getAudioContext() {
+    if (null == sharedAudioContext) {
+        const AudioContextClass =
+            window.AudioContext || window.webkitAudioContext;
+        if (undefined === AudioContextClass) {
+            return null;
         }
+        sharedAudioContext = new AudioContextClass();
     }
+    return sharedAudioContext;
 }
 
 //////////////////////////////////////////////////////////////////////////////
-// HTML/CSS USER INTERFACE SECTION                                          //
+// PLAYLIST FILE SECTION                                                    //
 //                                                                          //
-// Everything in this section is related to the specifics of updating the   //
-// basic UI HTML/CSS interface elements for the audio player.               //
+// Everything in this section is related to parsing playlist files for      //
+// parsePlaylist() and loadPlaylistFromUrl().                               //
 //                                                                          //
-// These functions are called from other parts of the program, but will     //
-// only have an effect if the basic user interface HTML elements with       //
-// specific IDs are present.                                                //
+// These functions don't depend on any player instance.                     //
 //////////////////////////////////////////////////////////////////////////////
 
-// preload any of the navigation control images that are actually referenced
-// on the HTML page. this is an optimization, but also makes the player UI
-// more resilient when the user has intermittent connectivity, as we can
-// at least keep the state of the UI in sync with reality
-function uiPreloadImages() {
-    if (null == uiBaseImageUrl) {
-        return;
+// download a text file
+//
+// returns a Promise that resolves to an object with the "text" of the file,
+// and the absolute "url" it came from (after any redirects), which relative
+// URLs inside the file can be resolved against
+function fetchText(url) {
+    const absoluteUrl = new URL(url, document.baseURI).href;
+
+    return fetch(absoluteUrl).then((response) => {
+        if (! response.ok) {
+            throw new Error("failed to load " + absoluteUrl +
+                ": HTTP " + response.status);
+        }
+
+        return response.text().then((text) => {
+            return {"text": text, "url": response.url || absoluteUrl};
+        });
+    });
+}
+
+// create a playlist parse error, which mentions the line number
+// (if it is known) in the message, and in a lineNumber property
+function playlistFileError(message, lineNumber) {
+    if (null == lineNumber) {
+        return new Error("playlist parse error: " + message);
     }
 
-    // play/pause button
-    const playPauseButtonImg =
-        document.getElementById(UI_PLAY_PAUSE_BUTTON_ID);
-    if (null != playPauseButtonImg) {
-        const playButtonImage = new Image();
-        playButtonImage.src = uiBaseImageUrl + UI_PLAY_IMG;
-        uiPreloadImageCache[UI_PLAY_IMG] = playButtonImage;
+    const error = new Error(
+        "playlist parse error on line " + lineNumber + ": " + message);
+    error.lineNumber = lineNumber;
+    return error;
+}
+
+// resolve a track URL against the base URL of the playlist file,
+// if there is one
+function playlistFileResolveUrl(url, baseUrl, lineNumber) {
+    if (null == baseUrl) {
+        return url;
+    }
+
+    try {
+        return new URL(url, baseUrl).href;
+    } catch (error) {
+        throw playlistFileError("invalid URL: " + url, lineNumber);
+    }
+}
+
+// guess the format of a playlist file from its contents
+//
+// anything that doesn't look like PLS, XSPF or JSPF is treated as M3U,
+// which can be as simple as one URL per line
+function playlistFileDetectFormat(text) {
+    const start = text.trimStart();
+
+    if (start.startsWith("<")) {
+        return "xspf";
+    }
+    if (start.startsWith("{")) {
+        return "jspf";
+    }
+    if (start.toLowerCase().startsWith("[playlist]")) {
+        return "pls";
+    }
+    return "m3u";
+}
+
+// split playlist file text into lines, for the line-based formats
+function playlistFileLines(text) {
+    return text.split(/\r\n|\r|\n/);
+}
+
+// parse an M3U/M3U8 playlist
+//
+// plain M3U files are just one URL per line. extended M3U files can also
+// have #EXTINF lines before each URL, in the following format:
+//
+//   #EXTINF:<duration in seconds>,<artist> - <title>
+//
+// the duration is -1 when it isn't known. #EXTALB, #EXTART and #EXTIMG
+// lines set the album, artist and image for the tracks that follow, and
+// any other line starting with # is a comment.
+function playlistFileParseM3u(text, baseUrl) {
+    const lines = playlistFileLines(text);
+    const result = [];
+
+    // details from #EXTINF for the next URL, and the line they came from
+    let pendingTrack = null;
+    let pendingLineNumber = null;
+
+    // details from #EXTALB/#EXTART/#EXTIMG for all of the following URLs
+    const sharedDetails = {};
+
+    for (let i=0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const lineNumber = i + 1;
+
+        if ("" == line) {
+            continue;
+        }
+
+        if (line.startsWith("#EXTINF:")) {
+            if (null != pendingTrack) {
+                throw playlistFileError(
+                    "#EXTINF without a track URL", pendingLineNumber);
+            }
+
+            const info = line.substring("#EXTINF:".length);
+            const comma = info.indexOf(",");
+            if (comma < 0) {
+                throw playlistFileError(
+                    "#EXTINF is missing a comma before the title",
+                    lineNumber);
+            }
+
+            // the duration may be followed by attributes,
+            // e.g. #EXTINF:123 tvg-logo="cover.jpg",Title
+            const durationText =
+                info.substring(0, comma).trim().split(/\s/)[0];
+            const duration = Number(durationText);
+            if (("" == durationText) || (! Number.isFinite(duration))) {
+                throw playlistFileError(
+                    "invalid #EXTINF duration: " + durationText, lineNumber);
+            }
+
+            pendingTrack = {};
+            pendingLineNumber = lineNumber;
+
+            if (duration >= 0) {
+                pendingTrack["duration"] = duration;
+            }
+
+            const title = info.substring(comma + 1).trim();
+            const separator = title.indexOf(" - ");
+            if (separator > 0) {
+                pendingTrack["artist"] = title.substring(0, separator);
+                pendingTrack["title"] = title.substring(separator + 3);
+            } else if ("" != title) {
+                pendingTrack["title"] = title;
+            }
+            continue;
+        }
+
+        if (line.startsWith("#EXTALB:")) {
+            sharedDetails["album"] = line.substring("#EXTALB:".length).trim();
+            continue;
+        }
+        if (line.startsWith("#EXTART:")) {
+            sharedDetails["artist"] = line.substring("#EXTART:".length).trim();
+            continue;
+        }
+        if (line.startsWith("#EXTIMG:")) {
+            sharedDetails["image"] = playlistFileResolveUrl(
+                line.substring("#EXTIMG:".length).trim(), baseUrl, lineNumber);
+            continue;
+        }
+
+        // any other directive or comment
+        if (line.startsWith("#")) {
+            continue;
+        }
+
+        // a track URL
+        result.push(Object.assign(
+            {"url": playlistFileResolveUrl(line, baseUrl, lineNumber)},
+            sharedDetails,
+            pendingTrack));
+
+        pendingTrack = null;
+        pendingLineNumber = null;
+    }
+
+    if (null != pendingTrack) {
+        throw playlistFileError(
+            "#EXTINF without a track URL", pendingLineNumber);
+    }
+
+    return result;
+}
+
+// parse a PLS playlist, which looks like this:
+//
+//   [playlist]
+//   File1=01.mp3
+//   Title1=First Track
+//   Length1=123
+//   NumberOfEntries=1
+//   Version=2
+function playlistFileParsePls(text, baseUrl) {
+    const lines = playlistFileLines(text);
+
+    // tracks by their number in the file, and the line each one started on
+    const tracks = new Map();
+    const trackLineNumbers = new Map();
+
+    let foundHeader = false;
+
+    for (let i=0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        const lineNumber = i + 1;
+
+        // skip blank lines and comments
+        if (("" == line) || line.startsWith(";") || line.startsWith("#")) {
+            continue;
+        }
+
+        if (! foundHeader) {
+            if ("[playlist]" != line.toLowerCase()) {
+                throw playlistFileError(
+                    "expected [playlist] header", lineNumber);
+            }
+            foundHeader = true;
+            continue;
+        }
+
+        const equals = line.indexOf("=");
+        if (equals < 0) {
+            throw playlistFileError(
+                "expected key=value: " + line, lineNumber);
+        }
+
+        const key = line.substring(0, equals).trim();
+        const value = line.substring(equals + 1).trim();
+
+        const match = /^(file|title|length)(\d+)$/i.exec(key);
+        if (null == match) {
+            // NumberOfEntries, Version, and anything else we don't use
+            continue;
+        }
+
+        const field = match[1].toLowerCase();
+        const number = parseInt(match[2], 10);
+        if (! tracks.has(number)) {
+            tracks.set(number, {});
+            trackLineNumbers.set(number, lineNumber);
+        }
+        const track = tracks.get(number);
+
+        if ("file" == field) {
+            track["url"] = playlistFileResolveUrl(value, baseUrl, lineNumber);
+        } else if ("title" == field) {
+            track["title"] = value;
+        } else {
+            const duration = Number(value);
+            if (("" == value) || (! Number.isFinite(duration))) {
+                throw playlistFileError(
+                    "invalid " + key + ": " + value, lineNumber);
+            }
+            if (duration >= 0) {
+                track["duration"] = duration;
+            }
+        }
+    }
+
+    if (! foundHeader) {
+        throw playlistFileError("expected [playlist] header", null);
+    }
+
+    // tracks are in the order of their numbers, not the order of the lines
+    const numbers = Array.from(tracks.keys()).sort((a, b) => a - b);
+    const result = [];
+    for (const number of numbers) {
+        const track = tracks.get(number);
+        if (! ("url" in track)) {
+            throw playlistFileError(
+                "missing File" + number, trackLineNumbers.get(number));
+        }
+
+        // put the url first, like the other formats
+        result.push(Object.assign({"url": track["url"]}, track));
+    }
+
+    return result;
+}
+
+// convert an XSPF/JSPF duration in milliseconds to seconds
+function playlistFileDuration(milliseconds) {
+    const duration = Number(milliseconds);
+    if (Number.isFinite(duration) && (duration >= 0)) {
+        return duration / 1000;
+    }
+    return null;
+}
+
+// build a playlist object from the fields of an XSPF/JSPF track
+//
+// fields that are missing are left out
+function playlistFileTrack(url, fields, baseUrl) {
+    const track = {"url": playlistFileResolveUrl(url, baseUrl, null)};
+
+    if (null != fields["title"]) {
+        track["title"] = fields["title"];
+    }
+    if (null != fields["creator"]) {
+        track["artist"] = fields["creator"];
+    }
+    if (null != fields["album"]) {
+        track["album"] = fields["album"];
+    }
+    if (null != fields["duration"]) {
+        const duration = playlistFileDuration(fields["duration"]);
+        if (null != duration) {
+            track["duration"] = duration;
+        }
+    }
+    if (null != fields["image"]) {
+        track["image"] =
+            playlistFileResolveUrl(fields["image"], baseUrl, null);
+    }
+
+    return track;
+}
+
+// parse an XML document, and return its root element
+function playlistFileParseXml(text) {
+    if (typeof DOMParser === "undefined") {
+        throw new Error("XML playlists require DOMParser");
+    }
+
+    const xml = new DOMParser().parseFromString(text, "application/xml");
+
+    // browsers report XML errors as a parsererror element, with the line
+    // number somewhere in its text
+    const parserError = xml.getElementsByTagName("parsererror")[0];
+    if (null != parserError) {
+        const message = parserError.textContent.trim();
+        const match = /line(?: number)?\s*(\d+)/i.exec(message);
+        throw playlistFileError(
+            message.split("\n")[0], match ? parseInt(match[1], 10) : null);
+    }
+
+    return xml.documentElement;
+}
+
+// parse an XSPF playlist, which is XML
+function playlistFileParseXspf(text, baseUrl) {
+    const root = playlistFileParseXml(text);
+    if ("playlist" != root.localName) {
+        throw playlistFileError(
+            "expected <playlist> root element, found <" +
+            root.localName + ">", null);
+    }
+
+    // the text of the first child element of a track with the given name
+    const childText = (element, name) => {
+        for (const child of element.children) {
+            if (name == child.localName) {
+                return child.textContent.trim();
+            }
+        }
+        return null;
+    };
+
+    const result = [];
+    const trackElements = root.getElementsByTagNameNS("*", "track");
+    for (let i=0; i < trackElements.length; i++) {
+        const trackElement = trackElements[i];
+
+        const location = childText(trackElement, "location");
+        if ((null == location) || ("" == location)) {
+            throw playlistFileError(
+                "track " + (i + 1) + " has no <location>", null);
+        }
+
+        result.push(playlistFileTrack(location, {
+            "title": childText(trackElement, "title"),
+            "creator": childText(trackElement, "creator"),
+            "album": childText(trackElement, "album"),
+            "duration": childText(trackElement, "duration"),
+            "image": childText(trackElement, "image")
+        }, baseUrl));
+    }
+
+    return result;
+}
+
+// parse a JSPF playlist, which is the JSON version of XSPF
+function playlistFileParseJspf(text, baseUrl) {
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        // browsers report either a line number, or a character position
+        // that we can count lines up to
+        let lineNumber = null;
+        const lineMatch = /line (\d+)/i.exec(error.message);
+        const positionMatch = /position (\d+)/i.exec(error.message);
+        if (null != lineMatch) {
+            lineNumber = parseInt(lineMatch[1], 10);
+        } else if (null != positionMatch) {
+            const position = parseInt(positionMatch[1], 10);
+            lineNumber =
+                playlistFileLines(text.substring(0, position)).length;
+        }
+        throw playlistFileError(error.message, lineNumber);
+    }
+
+    if ((null == json) ||
+        (typeof json !== "object") ||
+        (null == json["playlist"]) ||
+        (typeof json["playlist"] !== "object")) {
+        throw playlistFileError("missing \"playlist\" object", null);
+    }
+
+    const tracks = json["playlist"]["track"] || [];
+    if (! Array.isArray(tracks)) {
+        throw playlistFileError("\"track\" must be an array", null);
+    }
 
-        const pauseButtonImage = new Image();
-        pauseButtonImage.src = uiBaseImageUrl + UI_PAUSE_IMG;
-        uiPreloadImageCache[UI_PAUSE_IMG] = pauseButtonImage;
+    const result = [];
+    for (let i=0; i < tracks.length; i++) {
+        const track = tracks[i];
+
+        // location is an array of URLs in JSPF,
+        // but some files use a single string
+        let location = (null != track) ? track["location"] : null;
+        if (Array.isArray(location)) {
+            location = location[0];
+        }
+        if ((typeof location !== "string") || ("" == location)) {
+            throw playlistFileError(
+                "track " + (i + 1) + " has no location", null);
+        }
+
+        result.push(playlistFileTrack(location, track, baseUrl));
     }
 
-    // prev button
-    const prevTrackButtonImg = document.getElementById(UI_PREV_TRACK_IMG_ID);
-    if (null != prevTrackButtonImg) {
-        const prevImage = new Image();
-        prevImage.src = uiBaseImageUrl + UI_PREV_IMG;
-        uiPreloadImageCache[UI_PREV_IMG] = prevImage;
+    return result;
+}
 
-        const prevDisabledImage = new Image();
-        prevDisabledImage.src = uiBaseImageUrl + UI_PREV_DISABLED_IMG;
-        uiPreloadImageCache[UI_PREV_DISABLED_IMG] = prevDisabledImage;
+//////////////////////////////////////////////////////////////////////////////
+// PAGE MARKUP SECTION                                                      //
+//                                                                          //
+// Everything in this section is related to building a playlist from the    //
+// markup on the page for initFromDom().                                    //
+//                                                                          //
+// These functions don't depend on any player instance.                     //
+//////////////////////////////////////////////////////////////////////////////
+
+// HTML attribute with the URL of a track, and the prefix of the HTML
+// attributes with the other keys of its playlist object
+const PAGE_MARKUP_URL_ATTRIBUTE = "data-diyaudio-url";
+const PAGE_MARKUP_KEY_PREFIX = "data-diyaudio-";
+
+// playlist object keys that are numbers, rather than strings
+const PAGE_MARKUP_NUMBER_KEYS = ["start", "end", "duration"];
+
+// find the tracks inside of a page element
+//
+// returns an array of objects, each with the playlist object ("track") and
+// the element it came from ("element"), in page order
+function pageMarkupParse(root) {
+    const selector =
+        "[" + PAGE_MARKUP_URL_ATTRIBUTE + "], audio, a[href]";
+
+    const candidates = Array.from(root.querySelectorAll(selector));
+    if (root.matches(selector)) {
+        candidates.unshift(root);
     }
 
-    // next button
-    const nextTrackButtonImg = document.getElementById(UI_NEXT_TRACK_IMG_ID);
-    if (null != nextTrackButtonImg) {
-        const nextImage = new Image();
-        nextImage.src = uiBaseImageUrl + UI_NEXT_IMG;
-        uiPreloadImageCache[UI_NEXT_IMG] = nextImage;
+    const entries = [];
+    for (const element of candidates) {
+        // an element inside of a track element is part of that track
+        // (e.g. a link inside of a list item with a data-diyaudio-url)
+        if (entries.some((entry) => entry["element"].contains(element))) {
+            continue;
+        }
 
-        const nextDisabledImage = new Image();
-        nextDisabledImage.src = uiBaseImageUrl + UI_NEXT_DISABLED_IMG;
-        uiPreloadImageCache[UI_NEXT_DISABLED_IMG] = nextDisabledImage;
+        const track = pageMarkupTrack(element);
+        if (null != track) {
+            entries.push({"track": track, "element": element});
+        }
     }
+
+    return entries;
 }
 
-// updates the play/pause button based on the current audio playback state
-function uiUpdatePlayPauseButton() {
-    // if we don't have a base image URL, we can't load images
-    if (null == uiBaseImageUrl) {
-        return;
+// build the playlist object for one track element, or return null if the
+// element doesn't point to any audio
+function pageMarkupTrack(element) {
+    const track = {};
+
+    if (element.hasAttribute(PAGE_MARKUP_URL_ATTRIBUTE)) {
+        track["url"] = pageMarkupUrl(
+            element.getAttribute(PAGE_MARKUP_URL_ATTRIBUTE));
+    } else if ("AUDIO" == element.tagName) {
+        const sources = [];
+        if (element.hasAttribute("src")) {
+            sources.push({
+                "url": pageMarkupUrl(element.getAttribute("src")),
+                "type": null
+            });
+        }
+        for (const source of element.querySelectorAll("source[src]")) {
+            sources.push({
+                "url": pageMarkupUrl(source.getAttribute("src")),
+                "type": source.getAttribute("type")
+            });
+        }
+
+        if (0 == sources.length) {
+            return null;
+        } else if (1 == sources.length) {
+            track["url"] = sources[0]["url"];
+        } else {
+            track["sources"] = sources;
+        }
+
+        if (element.hasAttribute("title")) {
+            track["title"] = element.getAttribute("title");
+        }
+    } else {
+        // links to other places on the same page aren't tracks
+        const href = element.getAttribute("href").trim();
+        if (href.startsWith("#") || /^javascript:/i.test(href)) {
+            return null;
+        }
+        track["url"] = pageMarkupUrl(href);
+
+        const title = element.textContent.trim();
+        if ("" != title) {
+            track["title"] = title;
+        }
     }
 
-    // this toggle follows the standard convention, where the symbol on
-    // the button at any moment shows what will happen if you press the
-    // button (which is the opposite of the current state)
-    //
-    // when the player is playing, the pause symbol will be displayed
-    // when the player is paused, the play symbol will be displayed
+    // the other data-diyaudio-* attributes fill in the rest of the keys,
+    // e.g. data-diyaudio-chapters-url becomes "chaptersUrl"
+    for (const attribute of Array.from(element.attributes)) {
+        const name = attribute.name.toLowerCase();
+        if ((! name.startsWith(PAGE_MARKUP_KEY_PREFIX)) ||
+            (PAGE_MARKUP_URL_ATTRIBUTE == name)) {
+            continue;
+        }
 
-    const playPauseButtonImg =
-        document.getElementById(UI_PLAY_PAUSE_BUTTON_ID);
-    if (null != playPauseButtonImg) {
-        // the player is playing
-        if (playing) {
-            // if we're not sure if the pause symbol is currently displayed
-            // show the pause symbol
-            playPauseButtonImg.src = uiBaseImageUrl + UI_PAUSE_IMG;
+        const key = name.substring(PAGE_MARKUP_KEY_PREFIX.length)
+            .replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+        track[key] = attribute.value;
 
-        // the player is paused
-        } else {
-            // if we're not sure if the play symbol is currently displayed
-            // show the play symbol
-            playPauseButtonImg.src = uiBaseImageUrl + UI_PLAY_IMG;
+        if (PAGE_MARKUP_NUMBER_KEYS.includes(key)) {
+            const value = parseFloat(attribute.value);
+            track[key] = Number.isFinite(value) ? value : null;
         }
     }
+
+    return track;
 }
 
-// calculates elapsed/remaining time based on current audio playback,
-// and updates HTML UI elements to match
-function uiUpdateStatus() {
-    // if the user is not currently moving the time slider around,
-    // update the elapsed/remaining time counter HTML display elements
-    //
-    // we round both times to integers here, so that the
-    // elapsed/remaining times change simultaneously in the display
-    if (! uiUserIsAdjustingTimeSlider) {
-        const intDuration = Math.round(audio.duration || 0);
+// resolve a URL from the page markup against the page
+function pageMarkupUrl(url) {
+    return new URL(url, document.baseURI).href;
+}
 
-        // use the deferred seek time if one is set,
-        // otherwise use the actual current time
-        const intCurrentTime =
-            (null != deferredInitialSeekTime) ?
-            deferredInitialSeekTime :
-            Math.round(audio.currentTime);
+//////////////////////////////////////////////////////////////////////////////
+// PODCAST FEED SECTION                                                     //
+//                                                                          //
+// Everything in this section is related to parsing podcast RSS feeds for   //
+// loadPodcastFeed().                                                       //
+//                                                                          //
+// These functions don't depend on any player instance.                     //
+//////////////////////////////////////////////////////////////////////////////
 
-        const intRemaining = (intDuration * -1) + intCurrentTime;
+// XML namespaces used by podcast feeds
+const PODCAST_ITUNES_NAMESPACE = "http://www.itunes.com/dtds/podcast-1.0.dtd";
+const PODCAST_NAMESPACES = [
+    "https://podcastindex.org/namespace/1.0",
+    "https://github.com/Podcastindex-org/podcast-namespace/blob/main/docs/1.0.md"
+];
 
-        uiUpdateTimeDisplay(
-            secondsToDisplayTime(intCurrentTime),
-            secondsToDisplayTime(intRemaining),
-            secondsToDisplayTime(intDuration)
-        );
+// find the first child element with the given name and XML namespace
+//
+// the namespace can be null (for plain RSS elements), a namespace URI,
+// or an array of namespace URIs
+function podcastFeedChild(element, namespace, name) {
+    for (const child of element.children) {
+        if (name != child.localName) {
+            continue;
+        }
+        if (Array.isArray(namespace) ?
+            namespace.includes(child.namespaceURI) :
+            ((namespace || null) == child.namespaceURI)) {
+            return child;
+        }
     }
+    return null;
 }
 
-// updates the elapsed/remaining time counter HTML display elements
-// accepts elapsed/remaining time strings that will be displayed
-// without modification
-function uiUpdateTimeDisplay(elapsed, remaining, duration) {
-    const elapsedElement = document.getElementById(UI_TIME_ELAPSED_ID);
-    const remainingElement = document.getElementById(UI_TIME_REMAINING_ID);
-    const durationElement = document.getElementById(UI_TIME_DURATION_ID);
-
-    if (null != elapsedElement) {
-        elapsedElement.innerHTML = elapsed;
+// the trimmed text of a child element, or null if there isn't one
+function podcastFeedChildText(element, namespace, name) {
+    const child = podcastFeedChild(element, namespace, name);
+    if (null == child) {
+        return null;
     }
 
-    if (null != remainingElement) {
-        remainingElement.innerHTML = remaining;
+    const text = child.textContent.trim();
+    return ("" == text) ? null : text;
+}
+
+// convert an itunes:duration value, which is either a number of seconds,
+// or [HH:]MM:SS, into seconds
+//
+// returns null if the duration can't be understood
+function podcastFeedDuration(text) {
+    if (null == text) {
+        return null;
     }
 
-    if (null != durationElement) {
-        durationElement.innerHTML = duration;
+    let seconds = 0;
+    for (const part of text.split(":")) {
+        const number = Number(part);
+        if (("" == part.trim()) || (! Number.isFinite(number))) {
+            return null;
+        }
+        seconds = (seconds * 60) + number;
     }
+    return seconds;
 }
 
-// update the prev/next track skip button HTML UI elements
+// parse a podcast RSS feed into a playlist array
 //
-// disables the prev track button when the player is on the first track,
-// and disables the next track button when the player is on the last track
-function uiUpdateTrackSkipButtons() {
-    const prevTrackLink = document.getElementById(UI_PREV_TRACK_LINK_ID);
-    const nextTrackLink = document.getElementById(UI_NEXT_TRACK_LINK_ID);
+// options are the loadPodcastFeed() options
+function podcastFeedParse(text, baseUrl, options) {
+    const root = playlistFileParseXml(text);
+    const itunes = PODCAST_ITUNES_NAMESPACE;
+
+    const channel = ("rss" == root.localName) ?
+        podcastFeedChild(root, null, "channel") :
+        null;
+    if (null == channel) {
+        throw playlistFileError("expected <rss> with a <channel>", null);
+    }
 
-    const prevTrackImg = document.getElementById(UI_PREV_TRACK_IMG_ID);
-    const nextTrackImg = document.getElementById(UI_NEXT_TRACK_IMG_ID);
+    // details that episodes fall back to, if they don't have their own
+    const podcastTitle = podcastFeedChildText(channel, null, "title");
+    const podcastAuthor = podcastFeedChildText(channel, itunes, "author");
+
+    let podcastImage = null;
+    const itunesImage = podcastFeedChild(channel, itunes, "image");
+    const rssImage = podcastFeedChild(channel, null, "image");
+    if ((null != itunesImage) && itunesImage.hasAttribute("href")) {
+        podcastImage = itunesImage.getAttribute("href");
+    } else if (null != rssImage) {
+        podcastImage = podcastFeedChildText(rssImage, null, "url");
+    }
 
-    // if we're on the first track, disable the prev track button
-    if (0 == playlistIndex) {
-        if (null != prevTrackLink) {
-            prevTrackLink.style["pointer-events"] = "none";
-        }
-        if (null != prevTrackImg) {
-            if (null != uiBaseImageUrl) {
-                prevTrackImg.src = uiBaseImageUrl + UI_PREV_DISABLED_IMG;
-            }
+    const episodes = [];
+    for (const item of channel.children) {
+        if (("item" != item.localName) || (null != item.namespaceURI)) {
+            continue;
         }
 
-    // if we're not on the first track, enable the prev track button
-    } else {
-        if (null != prevTrackLink) {
-            prevTrackLink.style["pointer-events"] = "auto";
+        // skip items that don't have anything to play
+        const enclosure = podcastFeedChild(item, null, "enclosure");
+        if ((null == enclosure) || (! enclosure.getAttribute("url"))) {
+            continue;
         }
-        if (null != prevTrackImg) {
-            if (null != uiBaseImageUrl) {
-                prevTrackImg.src = uiBaseImageUrl + UI_PREV_IMG;
-            }
+
+        const episode = {
+            "url": playlistFileResolveUrl(
+                enclosure.getAttribute("url"), baseUrl, null)
+        };
+
+        const fields = {
+            "title":
+                podcastFeedChildText(item, null, "title") ||
+                podcastFeedChildText(item, itunes, "title"),
+            "artist":
+                podcastFeedChildText(item, itunes, "author") ||
+                podcastAuthor,
+            "album": podcastTitle,
+            "pubDate": podcastFeedChildText(item, null, "pubDate"),
+            "duration": podcastFeedDuration(
+                podcastFeedChildText(item, itunes, "duration")),
+            "image": podcastImage,
+            "description":
+                podcastFeedChildText(item, null, "description") ||
+                podcastFeedChildText(item, itunes, "summary"),
+            "guid": podcastFeedChildText(item, null, "guid"),
+            "chaptersUrl": null
+        };
+
+        const episodeImage = podcastFeedChild(item, itunes, "image");
+        if ((null != episodeImage) && episodeImage.hasAttribute("href")) {
+            fields["image"] = episodeImage.getAttribute("href");
         }
-    }
 
-    // if we're on the last track, disable the next track button
-    if (playlistIndex >= (playlist.length - 1)) {
-        if (null != nextTrackLink) {
-            nextTrackLink.style["pointer-events"] = "none";
+        const chapters =
+            podcastFeedChild(item, PODCAST_NAMESPACES, "chapters");
+        if ((null != chapters) && chapters.hasAttribute("url")) {
+            fields["chaptersUrl"] = chapters.getAttribute("url");
         }
-        if (null != nextTrackImg) {
-            if (null != uiBaseImageUrl) {
-                nextTrackImg.src = uiBaseImageUrl + UI_NEXT_DISABLED_IMG;
+
+        for (const key of ["image", "chaptersUrl"]) {
+            if (null != fields[key]) {
+                fields[key] =
+                    playlistFileResolveUrl(fields[key], baseUrl, null);
             }
         }
 
-    // if we're not on the last track, enable the next track button
-    } else {
-        if (null != nextTrackLink) {
-            nextTrackLink.style["pointer-events"] = "auto";
-        }
-        if (null != nextTrackImg) {
-            if (null != uiBaseImageUrl) {
-                nextTrackImg.src = uiBaseImageUrl + UI_NEXT_IMG;
+        // leave out anything the feed didn't have
+        for (const key in fields) {
+            if (null != fields[key]) {
+                episode[key] = fields[key];
             }
         }
+
+        episodes.push(episode);
     }
-}
 
-// manually set the playback position on the slider bar
-// accepts a percentage from 0-100
-function uiSetPlaybackPosition(percent) {
-    const playbackPosition = document.getElementById(UI_PLAYBACK_POSITION_ID);
-    if (null != playbackPosition) {
-        playbackPosition.value = percent;
+    // feeds list the newest episode first by convention, but sort by date
+    // when every episode has one, in case this feed doesn't
+    const dates = episodes.map((episode) => Date.parse(episode["pubDate"]));
+    if (dates.every((date) => Number.isFinite(date))) {
+        const order = episodes.map((episode, i) => i);
+        order.sort((a, b) => (dates[b] - dates[a]) || (a - b));
+        const sorted = order.map((i) => episodes[i]);
+        episodes.splice(0, episodes.length, ...sorted);
     }
-}
 
-// add bidirectional event listeners to link up the Audio playback object
-// with the playback position slider HTML element and time status fields
-function uiAddEventListeners() {
-    // get a reference to the slider navigation bar
-    const playbackPosition = document.getElementById(UI_PLAYBACK_POSITION_ID);
+    // keep the newest episodes
+    if (null != options["maxItems"]) {
+        episodes.splice(options["maxItems"]);
+    }
 
-    // get a reference to the play/pause button
-    const playPauseButtonImg =
-        document.getElementById(UI_PLAY_PAUSE_BUTTON_ID);
+    if ("oldest" == options["order"]) {
+        episodes.reverse();
+    }
 
-    //
-    // AUDIO EVENT LISTENERS
-    //
+    return episodes;
+}
 
-    // when an audio track ends
-    //
-    // this listener does not depend on any UI elements, and is always added
-    // the purpose of this event listener is to quickly forward to the
-    // next track in the playlist as soon as the previous track ends
-    audio.addEventListener("ended", () => {
-        // the playStateIntervalHandler should already be running in an
-        // interval timer, but by calling it again right at this moment,
-        // we can respond to this event with lower latency
-        playStateIntervalHandler();
-    });
+//////////////////////////////////////////////////////////////////////////////
+// CHAPTER FILE SECTION                                                     //
+//                                                                          //
+// Everything in this section is related to parsing WebVTT and Podcasting   //
+// 2.0 JSON chapters files for the "chaptersUrl" playlist entry.            //
+//                                                                          //
+// These functions don't depend on any player instance.                     //
+//////////////////////////////////////////////////////////////////////////////
 
-    // when an audio track loads enough to read the metadata
-    //
-    // this listener is only added if we have at least one of the playback
-    // position slider or the play/pause button
-    if ((null != playbackPosition) || (null != playPauseButtonImg)) {
-        audio.addEventListener("loadedmetadata", () => {
-            // reset UI playback position
-            uiSetPlaybackPosition(0);
+// create a chapters file parse error, which mentions the line number
+// (if it is known) in the message, and in a lineNumber property
+function chapterFileError(message, lineNumber) {
+    if (null == lineNumber) {
+        return new Error("chapters parse error: " + message);
+    }
 
-            // update the UI status
-            uiUpdateStatus();
-        });
+    const error = new Error(
+        "chapters parse error on line " + lineNumber + ": " + message);
+    error.lineNumber = lineNumber;
+    return error;
+}
+
+// parse a WebVTT or Podcasting 2.0 JSON chapters file into a chapters
+// array of {"start", "title"} objects, sorted by start time
+function chapterFileParse(text) {
+    // ignore a leading byte order mark
+    if (text.startsWith("\uFEFF")) {
+        text = text.substring(1);
     }
 
-    // when an audio track is playing, update the slider navigation bar,
-    // unless the user is in the middle of adjusting it
-    //
-    // this listener is only added if we have the playback position slider
-    if (null != playbackPosition) {
-        audio.addEventListener("timeupdate", () => {
-            if (! uiUserIsAdjustingTimeSlider) {
-                if (audio.duration > 0) {
-                    playbackPosition.value =
-                        audio.currentTime / audio.duration * 100;
-                } else {
-                    playbackPosition.value = 0;
-                }
-            }
-        });
+    if (text.startsWith("WEBVTT")) {
+        return chapterFileParseVtt(text);
     }
+    return chapterFileParseJson(text);
+}
 
-    //
-    // PLAYBACK POSITION SLIDER EVENT LISTENERS
-    //
+// convert a WebVTT timestamp ([HH:]MM:SS.mmm) into seconds,
+// or return null if it isn't one
+function chapterFileVttTime(timestamp) {
+    const match = /^(?:(\d+):)?(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(timestamp);
+    if (null == match) {
+        return null;
+    }
 
-    // every event listener in this block is set up on the playback position
-    // slider UI element, but only if it is present
-    if (null != playbackPosition) {
-        // when the user changes the position of the slider navigation bar,
-        // seek to the time they selected
-        playbackPosition.addEventListener("change", () => {
-            // calculate the percentage from the slider bar position
-            const percent = playbackPosition.value / 100;
+    const hours = (undefined !== match[1]) ? parseInt(match[1], 10) : 0;
+    return (hours * 3600) + (parseInt(match[2], 10) * 60) +
+        parseFloat(match[3]);
+}
 
-            // calculate the seconds for the current audio track,
-            // by percentage
-            const seconds = (audio.duration || 0) * percent;
+// parse a WebVTT chapters file, where each cue is a chapter:
+//
+//   WEBVTT
+//
+//   00:00.000 --> 05:00.000
+//   Introduction
+//
+//   05:00.000 --> 12:30.000
+//   The Middle Part
+function chapterFileParseVtt(text) {
+    const lines = playlistFileLines(text);
+    const chapters = [];
+
+    let i = 0;
+    while (i < lines.length) {
+        // skip to the start of the next block
+        if ("" == lines[i].trim()) {
+            i++;
+            continue;
+        }
 
-            // seek to the requested part of the audio track
-            seek(seconds, false);
-        });
+        // gather up the lines of this block
+        const blockStart = i;
+        const block = [];
+        while ((i < lines.length) && ("" != lines[i].trim())) {
+            block.push(lines[i].trim());
+            i++;
+        }
 
-        // when the user is dragging the slider navigation bar,
-        // remember that so the audio player doesn't also try to update it
-        // while it's playing
-        playbackPosition.addEventListener("pointerdown", () => {
-            uiUserIsAdjustingTimeSlider = true;
-        });
+        // the header, comments, styles and regions aren't chapters
+        if ((0 == blockStart) ||
+            block[0].startsWith("NOTE") ||
+            ("STYLE" == block[0]) ||
+            ("REGION" == block[0])) {
+            continue;
+        }
 
-        // when the user stops dragging the slider navigation bar,
-        // set things back to normal
-        playbackPosition.addEventListener("pointerup", () => {
-            uiUserIsAdjustingTimeSlider = false;
+        // a cue may start with an identifier line before the timing line
+        let timingLine = 0;
+        if ((! block[0].includes("-->")) && (block.length > 1)) {
+            timingLine = 1;
+        }
+
+        const timing = block[timingLine].split("-->");
+        if (2 != timing.length) {
+            throw chapterFileError(
+                "expected a cue timing line", blockStart + timingLine + 1);
+        }
+
+        const start = chapterFileVttTime(timing[0].trim());
+        if (null == start) {
+            throw chapterFileError(
+                "invalid timestamp: " + timing[0].trim(),
+                blockStart + timingLine + 1);
+        }
+
+        chapters.push({
+            "start": start,
+            "title": block.slice(timingLine + 1).join(" ")
         });
+    }
 
-        // if the user is dragging the slider navigation bar around,
-        // update the elapsed/remaining time displays as they drag it around
-        //
-        // we round the elapsed/remaining times together here,
-        // so that they move in sync with each other as whole seconds
-        playbackPosition.addEventListener("input", () => {
-            // calculate the percentage from the slider bar position
-            const percent = playbackPosition.value / 100;
+    chapters.sort((a, b) => a["start"] - b["start"]);
+    return chapters;
+}
 
-            // calculate duration
-            const intDuration = Math.round(audio.duration || 0);
+// parse a Podcasting 2.0 JSON chapters file, keeping the "image" and "url"
+// of each chapter too, if the file has them
+function chapterFileParseJson(text) {
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw chapterFileError(error.message, null);
+    }
 
-            // calculate the seconds for the current audio track,
-            // by percentage
-            const intSeconds = Math.round(intDuration * percent);
+    if ((null == json) || (! Array.isArray(json["chapters"]))) {
+        throw chapterFileError("missing \"chapters\" array", null);
+    }
 
-            // calculate remaining time for the current track,
-            // based on current position
-            const remaining = (intDuration * -1) + intSeconds;
+    const chapters = [];
+    for (const chapter of json["chapters"]) {
+        if ((null == chapter) ||
+            (! Number.isFinite(chapter["startTime"]))) {
+            continue;
+        }
 
-            // update the elapsed/remaining time displays
-            uiUpdateTimeDisplay(
-                secondsToDisplayTime(intSeconds),
-                secondsToDisplayTime(remaining),
-                secondsToDisplayTime(intDuration)
-            );
-        });
+        const entry = {
+            "start": chapter["startTime"],
+            "title": (null != chapter["title"]) ? String(chapter["title"]) : ""
+        };
+        if (null != chapter["img"]) {
+            entry["image"] = chapter["img"];
+        }
+        if (null != chapter["url"]) {
+            entry["url"] = chapter["url"];
+        }
+        chapters.push(entry);
     }
+
+    chapters.sort((a, b) => a["start"] - b["start"]);
+    return chapters;
 }
 
 //////////////////////////////////////////////////////////////////////////////
 // NAMESPACE EXPORTS                                                        //
 //////////////////////////////////////////////////////////////////////////////
 
-diyaudioplayer.init                       = init;
-diyaudioplayer.loadPlaylist               = loadPlaylist;
-diyaudioplayer.setBaseImageUrl            = setBaseImageUrl;
-diyaudioplayer.play                       = play;
-diyaudioplayer.stop                       = stop;
-diyaudioplayer.pause                      = pause;
-diyaudioplayer.playPause                  = playPause;
-diyaudioplayer.isPlaying                  = isPlaying;
-diyaudioplayer.seek                       = seek;
-diyaudioplayer.prevTrack                  = prevTrack;
-diyaudioplayer.nextTrack                  = nextTrack;
-diyaudioplayer.playTrack                  = playTrack;
-diyaudioplayer.getCurrentPlaylistIndex    = getCurrentPlaylistIndex;
-diyaudioplayer.secondsToDisplayTime       = secondsToDisplayTime;
-diyaudioplayer.setNoTimeDisplay           = setNoTimeDisplay;
-diyaudioplayer.enableDisplayTimeZeroPad   = enableDisplayTimeZeroPad;
-diyaudioplayer.getAudio                   = getAudio;
-diyaudioplayer.registerPlayHandler        = registerPlayHandler;
-diyaudioplayer.registerPauseHandler       = registerPauseHandler;
-diyaudioplayer.registerStopHandler        = registerStopHandler;
-diyaudioplayer.registerTrackChangeHandler = registerTrackChangeHandler;
+// the default player instance, used by the global diyaudioplayer.* functions
+const defaultPlayer = createPlayer();
+
+diyaudioplayer.create                     = create;
+diyaudioplayer.getDefaultPlayer           = getDefaultPlayer;
+diyaudioplayer.parsePlaylist              = parsePlaylist;
+
+// the global diyaudioplayer.* functions all control the default instance
+for (const name in defaultPlayer) {
+    diyaudioplayer[name] = defaultPlayer[name];
+}
 
 // END NAMESPACE
 }